@@ -0,0 +1,56 @@
+/**
+ * Recomputes the spot rating aggregates (Spot_Rating_Stats) from Review_Post
+ *
+ * npm run rebuild:spot-ratings            every spot
+ * npm run rebuild:spot-ratings -- 12 40   only spots 12 and 40
+ *
+ * Reads the DB_* settings from the environment, or from local.settings.json when they aren't set.
+ */
+const fs = require('fs');
+const path = require('path');
+
+loadLocalSettings();
+
+const { getPool } = require('../src/shared/db');
+const { rebuildSpotRatingStats } = require('../src/shared/spotRatings');
+
+async function main() {
+    const spotIds = process.argv.slice(2).map((arg) => parseInt(arg));
+    if (spotIds.some((spotId) => isNaN(spotId) || spotId <= 0)) {
+        console.error('Spot IDs must be positive integers');
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = await getPool();
+    try {
+        console.log(spotIds.length > 0
+            ? `Rebuilding rating stats of spots ${spotIds.join(', ')}...`
+            : 'Rebuilding rating stats of every spot...');
+
+        const result = await rebuildSpotRatingStats(pool, spotIds.length > 0 ? spotIds : null);
+        console.log(`Done: ${result.inserted} rows created, ${result.updated} rows corrected`);
+    } finally {
+        await pool.close();
+    }
+}
+
+/**
+ * Copies Values from local.settings.json into process.env (without overriding)
+ */
+function loadLocalSettings() {
+    const settingsPath = path.join(__dirname, '..', 'local.settings.json');
+    if (!fs.existsSync(settingsPath)) return;
+
+    const { Values = {} } = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    Object.entries(Values).forEach(([key, value]) => {
+        if (process.env[key] === undefined) {
+            process.env[key] = value;
+        }
+    });
+}
+
+main().catch((error) => {
+    console.error('Rebuild failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,215 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const {
+    MAX_POST_IMAGES,
+    validateImageIds,
+    findUnusableImageIds,
+    attachImagesToPost,
+    getPostGallery
+} = require('../shared/postImages');
+
+/**
+ * HTTP Trigger Function for Adding Images to a Post
+ * POST /api/posts/{postId}/images
+ *
+ * Appends registered images to the end of the post gallery.
+ * Body: { image_ids: [..], thumbnail_image_id? }
+ */
+app.http('addPostImages', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'posts/{postId}/images',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Add post images request received');
+
+        try {
+            // Get post ID from URL parameter
+            const postIdNum = parseInt(request.params.postId);
+            if (isNaN(postIdNum) || postIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            const { image_ids, thumbnail_image_id } = requestBody;
+
+            const imageIdsError = validateImageIds(image_ids);
+            if (imageIdsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: imageIdsError
+                    }
+                };
+            }
+
+            if (thumbnail_image_id !== undefined && thumbnail_image_id !== null &&
+                !image_ids.includes(thumbnail_image_id)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'thumbnail_image_id must be one of image_ids (use PUT /api/posts/{postId}/images/{imageId}/thumbnail for existing images)'
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the post, locked until commit so gallery changes to it run one at a time,
+                // and check the caller is its author
+                context.log('Getting post details...');
+                const postResult = await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        SELECT post_id, user_id, deleted_at
+                        FROM Post WITH (UPDLOCK, ROWLOCK)
+                        WHERE post_id = @post_id
+                    `);
+
+                if (postResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const postInfo = postResult.recordset[0];
+
+                if (postInfo.user_id !== auth.user_id) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the post author can add images to this post'
+                        }
+                    };
+                }
+
+                if (postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: 'Post is deleted. Restore it before changing its images.'
+                        }
+                    };
+                }
+
+                // Step 2: Check the images belong to the caller
+                const unusableImageIds = await findUnusableImageIds(transaction, image_ids, auth.user_id);
+                if (unusableImageIds.length > 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: `Images not found or not uploaded by you: ${unusableImageIds.join(', ')}`
+                        }
+                    };
+                }
+
+                // Step 3: Check against the current gallery
+                const currentImages = await getPostGallery(transaction, postIdNum);
+                const alreadyAttached = currentImages
+                    .map((image) => image.image_id)
+                    .filter((imageId) => image_ids.includes(imageId));
+
+                if (alreadyAttached.length > 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: `Images already attached to this post: ${alreadyAttached.join(', ')}`
+                        }
+                    };
+                }
+
+                if (currentImages.length + image_ids.length > MAX_POST_IMAGES) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: `A post can have at most ${MAX_POST_IMAGES} images (it has ${currentImages.length})`
+                        }
+                    };
+                }
+
+                // Step 4: Append to the gallery
+                context.log('Inserting into Post_Images table...');
+                await attachImagesToPost(transaction, postIdNum, image_ids, thumbnail_image_id);
+                const images = await getPostGallery(transaction, postIdNum);
+
+                await transaction.commit();
+                context.log('Post images transaction committed successfully');
+
+                return {
+                    status: 201, // 201 = Created
+                    jsonBody: {
+                        success: true,
+                        message: `${image_ids.length} image(s) added to post`,
+                        data: {
+                            post_id: postIdNum,
+                            images
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR adding post images:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to add images to post. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
@@ -1,27 +1,24 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { canUserModifyList, reserveListPosition } = require('../shared/lists');
 
 /**
  * HTTP Trigger Function for Adding Spots to Lists
  * POST /api/lists/{listId}/spots
+ *
+ * Body: { spot_id, list_thumbnail_id?, position? }
+ * position is 1-based: the spots from there on move down one. Without it (or past the end)
+ * the spot is added at the end of the list.
+ * Idempotent: adding a spot that is already in the list returns 200 with the existing
+ * association, unchanged (PUT /api/lists/{id}/spots/{spotId} edits it).
  */
 app.http('addSpotToList', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'lists/{listId}/spots',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Add spot to list request received');
 
@@ -77,7 +74,7 @@ app.http('addSpotToList', {
             }
 
             // Extract fields from request
-            const { spot_id, list_thumbnail_id } = requestBody;
+            const { spot_id, list_thumbnail_id, position } = requestBody;
 
             // Validate required fields
             if (!spot_id) {
@@ -114,21 +111,34 @@ app.http('addSpotToList', {
                 }
             }
 
+            // Validate position if provided
+            if (position !== null && position !== undefined) {
+                if (!Number.isInteger(position) || position <= 0) {
+                    return {
+                        status: 400,
+                        jsonBody: { 
+                            success: false,
+                            error: 'position must be a positive integer if provided (1 = first spot of the list)' 
+                        }
+                    };
+                }
+            }
+
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction for data consistency
             const transaction = new sql.Transaction(pool);
             await transaction.begin();
 
             try {
-                // Step 1: Verify that the list exists
+                // Step 1: Verify that the list exists, locked until commit (positions are assigned below)
                 context.log('Verifying list exists...');
                 const listCheckRequest = new sql.Request(transaction);
                 const listResult = await listCheckRequest
                     .input('list_id', sql.Int, listIdNum)
-                    .query('SELECT list_id, list_name, is_public FROM List WHERE list_id = @list_id');
+                    .query('SELECT list_id, list_name, is_public, owner_user_id FROM List WITH (UPDLOCK, ROWLOCK) WHERE list_id = @list_id');
 
                 if (listResult.recordset.length === 0) {
                     await transaction.rollback();
@@ -144,6 +154,18 @@ app.http('addSpotToList', {
                 const listInfo = listResult.recordset[0];
                 context.log('Found list:', listInfo.list_name);
 
+                // Only the owner can modify the list
+                if (!canUserModifyList(auth.user_id, listInfo.owner_user_id)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: { 
+                            success: false,
+                            error: 'Only the list owner can modify this list' 
+                        }
+                    };
+                }
+
                 // Step 2: Verify that the spot exists
                 context.log('Verifying spot exists...');
                 const spotCheckRequest = new sql.Request(transaction);
@@ -187,47 +209,57 @@ app.http('addSpotToList', {
                 }
 
                 // Step 4: Check if this association already exists
+                // The list lock serializes additions, PK_List_has_Spot backs this check in the database
                 context.log('Checking for existing association...');
                 const duplicateCheckRequest = new sql.Request(transaction);
                 const duplicateResult = await duplicateCheckRequest
                     .input('list_id', sql.Int, listIdNum)
                     .input('spot_id', sql.Int, spot_id)
                     .query(`
-                        SELECT created_date 
+                        SELECT created_date, list_thumbnail_id, position
                         FROM List_has_Spot 
                         WHERE list_id = @list_id AND spot_id = @spot_id
                     `);
 
+                // Already there: nothing to do, answer with the existing association
                 if (duplicateResult.recordset.length > 0) {
                     await transaction.rollback();
+                    const existing = duplicateResult.recordset[0];
+                    context.log(`Spot ${spot_id} is already in list ${listIdNum} at position ${existing.position}`);
+
                     return {
-                        status: 409, // 409 = Conflict
-                        jsonBody: { 
-                            success: false,
-                            error: `Spot "${spotInfo.spot_name}" is already in list "${listInfo.list_name}"`,
-                            existing_association: {
-                                list_id: listIdNum,
-                                spot_id: spot_id,
-                                added_date: duplicateResult.recordset[0].created_date
-                            }
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            message: `Spot "${spotInfo.spot_name}" is already in list "${listInfo.list_name}"`,
+                            data: buildAssociationData(listIdNum, listInfo, spotInfo, existing, true)
                         }
                     };
                 }
 
-                // Step 5: Create the association
-                context.log('Creating list-spot association...');
+                // Step 5: Make room at the requested position
+                const spotPosition = await reserveListPosition(transaction, listIdNum, position || null);
+
+                // Step 6: Create the association
+                context.log(`Creating list-spot association at position ${spotPosition}...`);
                 const insertRequest = new sql.Request(transaction);
                 const insertResult = await insertRequest
                     .input('list_id', sql.Int, listIdNum)
                     .input('spot_id', sql.Int, spot_id)
                     .input('list_thumbnail_id', sql.Int, list_thumbnail_id || null)
+                    .input('position', sql.Int, spotPosition)
                     .query(`
-                        INSERT INTO List_has_Spot (list_id, spot_id, created_date, list_thumbnail_id)
+                        INSERT INTO List_has_Spot (list_id, spot_id, created_date, list_thumbnail_id, position)
                         OUTPUT INSERTED.created_date
-                        VALUES (@list_id, @spot_id, GETDATE(), @list_thumbnail_id)
+                        VALUES (@list_id, @spot_id, GETDATE(), @list_thumbnail_id, @position)
                     `);
 
                 const created_date = insertResult.recordset[0].created_date;
+                const association = {
+                    created_date: created_date,
+                    list_thumbnail_id: list_thumbnail_id || null,
+                    position: spotPosition
+                };
                 
                 context.log(`Successfully added spot ${spot_id} to list ${listIdNum}`);
 
@@ -241,21 +273,7 @@ app.http('addSpotToList', {
                     jsonBody: {
                         success: true,
                         message: `Spot "${spotInfo.spot_name}" added to list "${listInfo.list_name}" successfully`,
-                        data: {
-                            list_id: listIdNum,
-                            spot_id: spot_id,
-                            list_thumbnail_id: list_thumbnail_id || null,
-                            created_date: created_date.toISOString(),
-                            // Include context for better UX
-                            list_info: {
-                                list_name: listInfo.list_name,
-                                is_public: listInfo.is_public
-                            },
-                            spot_info: {
-                                spot_name: spotInfo.spot_name,
-                                location: `${spotInfo.city}, ${spotInfo.country}`
-                            }
-                        }
+                        data: buildAssociationData(listIdNum, listInfo, spotInfo, association, false)
                     }
                 };
 
@@ -264,9 +282,6 @@ app.http('addSpotToList', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError;
-            } finally {
-                // Always close the connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -283,7 +298,7 @@ app.http('addSpotToList', {
                 }
             };
         }
-    }
+    })
 });
 
 /**
@@ -310,11 +325,25 @@ async function getListStatistics(listId, transaction) {
 }
 
 /**
- * Helper function to validate list permissions
- * For future use when you add user authentication
+ * Helper function to shape a list-spot association for the response
+ * Same shape whether the spot was just added or already in the list
  */
-function canUserModifyList(userId, listOwnerId, isPublic) {
-    // For now, anyone can modify any list (no authentication)
-    // Later you'll add: return userId === listOwnerId || (isPublic && hasPermission)
-    return true;
+function buildAssociationData(listId, listInfo, spotInfo, association, alreadyInList) {
+    return {
+        list_id: listId,
+        spot_id: spotInfo.spot_id,
+        list_thumbnail_id: association.list_thumbnail_id,
+        position: association.position,
+        created_date: association.created_date ? association.created_date.toISOString() : null, // NULL on old rows
+        already_in_list: alreadyInList,
+        // Include context for better UX
+        list_info: {
+            list_name: listInfo.list_name,
+            is_public: listInfo.is_public
+        },
+        spot_info: {
+            spot_name: spotInfo.spot_name,
+            location: `${spotInfo.city}, ${spotInfo.country}`
+        }
+    };
 }
\ No newline at end of file
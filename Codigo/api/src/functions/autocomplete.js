@@ -0,0 +1,204 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { SEARCH_COLLATION, normalizeSearchPrefix, escapeLikePattern } = require('../shared/search');
+
+// What can be completed (kind=all returns the three groups)
+const AUTOCOMPLETE_KINDS = ['spot', 'city', 'country'];
+
+// Shorter prefixes return nothing: one letter matches half the table
+const AUTOCOMPLETE_MIN_LENGTH = 2;
+const AUTOCOMPLETE_MAX_LENGTH = 55; // Spot.spot_name is NVARCHAR(55)
+
+// Suggestions per kind
+const AUTOCOMPLETE_DEFAULT_LIMIT = 5;
+const AUTOCOMPLETE_MAX_LIMIT = 10;
+
+// The same prefix is asked for by every user typing it, let clients reuse the answer
+const AUTOCOMPLETE_CACHE_SECONDS = 60;
+
+/**
+ * HTTP Trigger Function for Autocomplete
+ * GET /api/autocomplete?q={prefix}&kind={spot|city|country|all}&limit={n}
+ *
+ * Type-ahead suggestions: spot names, distinct cities and countries starting with q
+ * (or with a word starting with q), ignoring case and accents.
+ * Every kind asked for is answered by a single database round trip. The collated LIKE can't
+ * seek an index: each keystroke scans the narrow indexes of migration 014, not the table.
+ */
+app.http('autocomplete', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'autocomplete',
+    handler: withAuth(async (request, context, auth) => {
+
+        try {
+            // Step 1: Validate query parameters
+            const url = new URL(request.url);
+            const query = url.searchParams.get('q');
+            const kind = url.searchParams.get('kind') || 'all';
+            const limitParam = url.searchParams.get('limit');
+            const limit = limitParam === null ? AUTOCOMPLETE_DEFAULT_LIMIT : parseInt(limitParam);
+
+            if (query === null) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'q is required'
+                    }
+                };
+            }
+
+            if (kind !== 'all' && !AUTOCOMPLETE_KINDS.includes(kind)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Invalid kind parameter. Valid options: all, ${AUTOCOMPLETE_KINDS.join(', ')}`
+                    }
+                };
+            }
+
+            if (isNaN(limit) || limit < 1 || limit > AUTOCOMPLETE_MAX_LIMIT) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `limit must be between 1 and ${AUTOCOMPLETE_MAX_LIMIT}`
+                    }
+                };
+            }
+
+            const kinds = kind === 'all' ? AUTOCOMPLETE_KINDS : [kind];
+            const prefix = normalizeSearchPrefix(query).slice(0, AUTOCOMPLETE_MAX_LENGTH);
+
+            // Step 2: Too short to be useful, answer without touching the database
+            if (prefix.length < AUTOCOMPLETE_MIN_LENGTH) {
+                return buildAutocompleteResponse(query, prefix, kinds, {});
+            }
+
+            // Step 3: One batch, one result set per kind
+            const pool = await getPool();
+            // A word starts after a space, a hyphen or an apostrophe ("Foz-do-Iguaçu", "Sant'Ana")
+            const pattern = escapeLikePattern(prefix);
+            const sqlRequest = new sql.Request(pool)
+                .input('limit', sql.Int, limit)
+                .input('prefix', sql.NVarChar(200), `${pattern}%`)
+                .input('word_prefix', sql.NVarChar(200), `%[ '-]${pattern}%`);
+
+            const result = await sqlRequest.query(kinds.map(autocompleteQuerySql).join('\n'));
+
+            const suggestions = {};
+            kinds.forEach((k, index) => {
+                suggestions[k] = result.recordsets[index];
+            });
+
+            context.log(`Autocomplete "${prefix}" (${kind}): ${kinds.map((k) => `${suggestions[k].length} ${k}`).join(', ')}`);
+
+            return buildAutocompleteResponse(query, prefix, kinds, suggestions);
+
+        } catch (error) {
+            context.log('ERROR in autocomplete:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error while fetching suggestions',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    }, { optional: true })
+});
+
+/**
+ * SQL condition for a column starting with the prefix, or having a word that does
+ */
+function prefixMatchSql(column) {
+    return `(${column} COLLATE ${SEARCH_COLLATION} LIKE @prefix OR ${column} COLLATE ${SEARCH_COLLATION} LIKE @word_prefix)`;
+}
+
+/**
+ * 0 when the column itself starts with the prefix, 1 when only one of its words does
+ */
+function prefixRankSql(column) {
+    return `CASE WHEN ${column} COLLATE ${SEARCH_COLLATION} LIKE @prefix THEN 0 ELSE 1 END`;
+}
+
+/**
+ * Suggestions query of one kind
+ * Whole-value matches first, then the most reviewed spots / the places with the most spots
+ */
+function autocompleteQuerySql(kind) {
+    const queries = {
+        spot: `
+            SELECT TOP (@limit)
+                s.spot_id, s.spot_name, s.city, s.country, s.category,
+                COALESCE(st.review_count, 0) AS review_count
+            FROM Spot s
+            LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
+            WHERE ${prefixMatchSql('s.spot_name')}
+            ORDER BY ${prefixRankSql('s.spot_name')}, COALESCE(st.review_count, 0) DESC, s.spot_name, s.spot_id;`,
+        city: `
+            SELECT TOP (@limit) s.city, s.country, COUNT(*) AS spot_count
+            FROM Spot s
+            WHERE ${prefixMatchSql('s.city')}
+            GROUP BY s.city, s.country
+            ORDER BY MIN(${prefixRankSql('s.city')}), COUNT(*) DESC, s.city, s.country;`,
+        country: `
+            SELECT TOP (@limit) s.country, COUNT(*) AS spot_count
+            FROM Spot s
+            WHERE ${prefixMatchSql('s.country')}
+            GROUP BY s.country
+            ORDER BY MIN(${prefixRankSql('s.country')}), COUNT(*) DESC, s.country;`
+    };
+
+    return queries[kind];
+}
+
+/**
+ * Response with a group per kind asked for (spots, cities, countries)
+ */
+function buildAutocompleteResponse(query, prefix, kinds, suggestions) {
+    const rows = (k) => suggestions[k] || [];
+
+    return {
+        status: 200,
+        headers: {
+            'Cache-Control': `public, max-age=${AUTOCOMPLETE_CACHE_SECONDS}`
+        },
+        jsonBody: {
+            success: true,
+            query: query,
+            normalized_query: prefix,
+            ...(kinds.includes('spot') && {
+                spots: rows('spot').map((row) => ({
+                    spot_id: row.spot_id,
+                    spot_name: row.spot_name,
+                    city: row.city,
+                    country: row.country,
+                    category: row.category,
+                    location: `${row.city}, ${row.country}`,
+                    review_count: row.review_count
+                }))
+            }),
+            ...(kinds.includes('city') && {
+                cities: rows('city').map((row) => ({
+                    city: row.city,
+                    country: row.country,
+                    spot_count: row.spot_count
+                }))
+            }),
+            ...(kinds.includes('country') && {
+                countries: rows('country').map((row) => ({
+                    country: row.country,
+                    spot_count: row.spot_count
+                }))
+            })
+        }
+    };
+}
@@ -1,17 +1,8 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { validateListFields } = require('../shared/lists');
 
 /**
  * HTTP Trigger Function for Creating Lists
@@ -21,7 +12,7 @@ app.http('createList', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'lists',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Create list request received');
 
@@ -66,49 +57,27 @@ app.http('createList', {
                 };
             }
 
-            // Validate list_name is not just whitespace
-            if (list_name.trim().length === 0) {
+            // Validate field values (same rules as updateList)
+            const fieldsError = validateListFields({ list_name, is_public });
+            if (fieldsError) {
                 return {
                     status: 400,
                     jsonBody: { 
                         success: false,
-                        error: 'list_name cannot be empty or just whitespace' 
+                        error: fieldsError 
                     }
                 };
             }
 
-            // Validate field length (based on your database schema)
-            if (list_name.length > 45) {
-                return {
-                    status: 400,
-                    jsonBody: { 
-                        success: false,
-                        error: 'list_name must be 45 characters or less' 
-                    }
-                };
-            }
-
-            // Validate is_public data type (if provided)
-            let isPublic = true; // Default to public
-            if (is_public !== undefined && is_public !== null) {
-                if (typeof is_public !== 'boolean') {
-                    return {
-                        status: 400,
-                        jsonBody: { 
-                            success: false,
-                            error: 'is_public must be a boolean (true or false)' 
-                        }
-                    };
-                }
-                isPublic = is_public;
-            }
+            // Default to public
+            const isPublic = is_public === undefined || is_public === null ? true : is_public;
 
             // Trim the list name to remove extra whitespace
             const trimmedListName = list_name.trim();
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction for data consistency
             const transaction = new sql.Transaction(pool);
@@ -124,10 +93,11 @@ app.http('createList', {
                 const insertResult = await insertRequest
                     .input('list_name', sql.NVarChar(45), trimmedListName)
                     .input('is_public', sql.Bit, isPublic)
+                    .input('owner_user_id', sql.Int, auth.user_id)
                     .query(`
-                        INSERT INTO List (list_name, is_public)
+                        INSERT INTO List (list_name, is_public, owner_user_id)
                         OUTPUT INSERTED.list_id
-                        VALUES (@list_name, @is_public)
+                        VALUES (@list_name, @is_public, @owner_user_id)
                     `);
 
                 // Get the generated list_id
@@ -149,7 +119,8 @@ app.http('createList', {
                         data: {
                             list_id,
                             list_name: trimmedListName,
-                            is_public: isPublic
+                            is_public: isPublic,
+                            owner_user_id: auth.user_id
                         }
                     }
                 };
@@ -159,9 +130,6 @@ app.http('createList', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError;
-            } finally {
-                // Always close the connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -178,35 +146,9 @@ app.http('createList', {
                 }
             };
         }
-    }
+    })
 });
 
-/**
- * Helper function to validate list name content
- * You can expand this with more sophisticated validation
- */
-function isValidListName(name) {
-    const trimmed = name.trim();
-    
-    // Check minimum length
-    if (trimmed.length < 3) {
-        return { valid: false, error: 'List name must be at least 3 characters long' };
-    }
-    
-    // Check for inappropriate content (basic example)
-    const inappropriate = ['spam', 'test123', 'asdf'];
-    if (inappropriate.some(word => trimmed.toLowerCase().includes(word))) {
-        return { valid: false, error: 'List name contains inappropriate content' };
-    }
-    
-    // Check for only special characters
-    if (!/[a-zA-Z0-9]/.test(trimmed)) {
-        return { valid: false, error: 'List name must contain at least one letter or number' };
-    }
-    
-    return { valid: true };
-}
-
 /**
  * Helper function to suggest list categories based on common patterns
  * This could be useful for auto-categorization in the future
@@ -224,16 +166,4 @@ function suggestListCategory(listName) {
     if (name.includes('desejo') || name.includes('wishlist')) return 'Lista de Desejos';
     
     return 'Geral';
-}
-
-// You could use these helper functions by uncommenting and adding validation:
-// const validation = isValidListName(trimmedListName);
-// if (!validation.valid) {
-//     return {
-//         status: 400,
-//         jsonBody: { 
-//             success: false,
-//             error: validation.error 
-//         }
-//     };
-// }
\ No newline at end of file
+}
\ No newline at end of file
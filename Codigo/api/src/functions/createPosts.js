@@ -1,28 +1,29 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-// These values come from your local.settings.json file
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true, // Required for Azure SQL
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { POST_TYPES, validatePostFields, findActiveReview } = require('../shared/posts');
+const { applyReviewRatingChange } = require('../shared/spotRatings');
+const { checkCommunityPostList } = require('../shared/lists');
+const {
+    validateImageIds,
+    findUnusableImageIds,
+    attachImagesToPost,
+    getPostGallery
+} = require('../shared/postImages');
 
 /**
  * HTTP Trigger Function for Post Creation
  * This replaces the old function.json + index.js approach
+ *
+ * A user has at most one active review per spot: a second review answers 409,
+ * unless ?replace=true is sent, which rewrites the existing review in place.
  */
 app.http('createPosts', {
     methods: ['POST'],           // Only allow POST requests
-    authLevel: 'anonymous',      // No authentication required
+    authLevel: 'anonymous',      // Authentication is done with Firebase ID tokens (withAuth)
     route: 'posts',             // This makes the endpoint /api/posts
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         // Log the incoming request for debugging
         context.log('Post creation request received');
@@ -44,27 +45,38 @@ app.http('createPosts', {
             }
 
             // Extract data from request
-            const { type, description, user_id, spot_id, rating, list_id, title } = requestBody;
+            const { type, description, spot_id, rating, list_id, title, image_ids, thumbnail_image_id } = requestBody;
+
+            // The author is always the authenticated user, never the body
+            const user_id = auth.user_id;
+            if (requestBody.user_id !== undefined && requestBody.user_id !== null && requestBody.user_id !== user_id) {
+                return {
+                    status: 403,
+                    jsonBody: { 
+                        success: false,
+                        error: 'user_id does not match the authenticated user' 
+                    }
+                };
+            }
 
             // Validate required fields
-            if (!type || !user_id) {
+            if (!type) {
                 return {
                     status: 400,
                     jsonBody: { 
                         success: false,
-                        error: 'type and user_id are required fields' 
+                        error: 'type is a required field' 
                     }
                 };
             }
 
             // Validate post type
-            const validTypes = ['review', 'community', 'list'];
-            if (!validTypes.includes(type)) {
+            if (!POST_TYPES.includes(type)) {
                 return {
                     status: 400,
                     jsonBody: { 
                         success: false,
-                        error: `Invalid post type. Must be one of: ${validTypes.join(', ')}` 
+                        error: `Invalid post type. Must be one of: ${POST_TYPES.join(', ')}` 
                     }
                 };
             }
@@ -80,38 +92,157 @@ app.http('createPosts', {
                         }
                     };
                 }
-                
-                // Validate rating range
-                if (rating < 1 || rating > 5) {
+            }
+
+            if ((type === 'community' || type === 'list') && (!title || !list_id)) {
+                return {
+                    status: 400,
+                    jsonBody: { 
+                        success: false,
+                        error: 'Community and list posts require title and list_id' 
+                    }
+                };
+            }
+
+            // Validate field values (same rules as updatePost)
+            const fieldsError = validatePostFields({
+                description,
+                ...(type === 'review' && { spot_id, rating }),
+                ...(type !== 'review' && { title, list_id })
+            });
+            if (fieldsError) {
+                return {
+                    status: 400,
+                    jsonBody: { 
+                        success: false,
+                        error: fieldsError 
+                    }
+                };
+            }
+
+            // Validate optional images (registered with POST /api/images/register)
+            const hasImages = image_ids !== undefined && image_ids !== null;
+            if (hasImages) {
+                const imageIdsError = validateImageIds(image_ids);
+                if (imageIdsError) {
                     return {
                         status: 400,
                         jsonBody: { 
                             success: false,
-                            error: 'Rating must be between 1 and 5' 
+                            error: imageIdsError 
                         }
                     };
                 }
             }
 
-            if ((type === 'community' || type === 'list') && (!title || !list_id)) {
+            if (thumbnail_image_id !== undefined && thumbnail_image_id !== null &&
+                (!hasImages || !image_ids.includes(thumbnail_image_id))) {
                 return {
                     status: 400,
                     jsonBody: { 
                         success: false,
-                        error: 'Community and list posts require title and list_id' 
+                        error: 'thumbnail_image_id must be one of image_ids' 
                     }
                 };
             }
 
+            // "Replace my review" mode
+            const replaceExisting = new URL(request.url).searchParams.get('replace') === 'true';
+
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start a database transaction
             const transaction = new sql.Transaction(pool);
             await transaction.begin();
 
             try {
+                if (type === 'review') {
+                    // The reviewed spot must exist
+                    context.log('Verifying spot exists...');
+                    const spotResult = await new sql.Request(transaction)
+                        .input('spot_id', sql.Int, spot_id)
+                        .query('SELECT spot_id FROM Spot WHERE spot_id = @spot_id');
+
+                    if (spotResult.recordset.length === 0) {
+                        await transaction.rollback();
+                        return {
+                            status: 404,
+                            jsonBody: { 
+                                success: false,
+                                error: `Spot with ID ${spot_id} does not exist` 
+                            }
+                        };
+                    }
+
+                    // One active review per user and spot (keeps one user from skewing the average)
+                    context.log('Checking for an existing review of this spot...');
+                    const existingReview = await findActiveReview(transaction, user_id, spot_id);
+
+                    if (existingReview && !replaceExisting) {
+                        await transaction.rollback();
+                        return {
+                            status: 409, // 409 = Conflict
+                            jsonBody: { 
+                                success: false,
+                                error: 'You already reviewed this spot',
+                                existing_post_id: existingReview.post_id,
+                                message: 'Edit it with PUT /api/posts/{id}, or send the review again with ?replace=true to replace it'
+                            }
+                        };
+                    }
+
+                    if (existingReview) {
+                        context.log('Replacing existing review:', existingReview.post_id);
+                        const replaced = await replaceReview(transaction, existingReview.post_id, user_id, {
+                            description, rating, image_ids: hasImages ? image_ids : null, thumbnail_image_id
+                        });
+
+                        if (replaced.error) {
+                            await transaction.rollback();
+                            return replaced.error;
+                        }
+
+                        await applyReviewRatingChange(transaction, spot_id, existingReview.rating, rating);
+
+                        await transaction.commit();
+                        context.log('Review replaced successfully');
+
+                        return {
+                            status: 200,
+                            jsonBody: {
+                                success: true,
+                                post_id: existingReview.post_id,
+                                replaced: true,
+                                message: 'Review replaced successfully',
+                                data: {
+                                    post_id: existingReview.post_id,
+                                    type,
+                                    description: description || null,
+                                    user_id,
+                                    created_date: replaced.created_date.toISOString(),
+                                    created_at: replaced.created_at.toISOString(),
+                                    edited_date: replaced.edited_date.toISOString(),
+                                    images: replaced.images,
+                                    spot_id,
+                                    rating,
+                                    previous_rating: existingReview.rating
+                                }
+                            }
+                        };
+                    }
+                }
+
+                // Community posts share a list with everyone, so it has to be public
+                if (type === 'community') {
+                    const listCheck = await checkCommunityPostList(transaction, list_id);
+                    if (listCheck.error) {
+                        await transaction.rollback();
+                        return listCheck.error;
+                    }
+                }
+
                 // Step 1: Insert into base Post table
                 context.log('Inserting into Post table...');
                 const postRequest = new sql.Request(transaction);
@@ -121,13 +252,14 @@ app.http('createPosts', {
                     .input('type', sql.NVarChar(11), type)
                     .query(`
                         INSERT INTO Post (description, user_id, created_date, type)
-                        OUTPUT INSERTED.post_id, INSERTED.created_date
+                        OUTPUT INSERTED.post_id, INSERTED.created_date, INSERTED.created_at
                         VALUES (@description, @user_id, GETDATE(), @type)
                     `);
 
                 // Get the generated post_id and created_date
                 const post_id = postResult.recordset[0].post_id;
                 const created_date = postResult.recordset[0].created_date;
+                const created_at = postResult.recordset[0].created_at;
                 context.log('Created post with ID:', post_id);
 
                 // Step 2: Insert into specific post type table
@@ -142,6 +274,9 @@ app.http('createPosts', {
                             INSERT INTO Review_Post (post_id, spot_id, rating)
                             VALUES (@post_id, @spot_id, @rating)
                         `);
+
+                    context.log('Updating spot rating statistics...');
+                    await applyReviewRatingChange(transaction, spot_id, null, rating);
                 } 
                 else if (type === 'community') {
                     context.log('Inserting into Community_Post table...');
@@ -168,6 +303,26 @@ app.http('createPosts', {
                         `);
                 }
 
+                // Step 3: Attach the images, in the given order
+                let images = [];
+                if (hasImages) {
+                    const unusableImageIds = await findUnusableImageIds(transaction, image_ids, user_id);
+                    if (unusableImageIds.length > 0) {
+                        await transaction.rollback();
+                        return {
+                            status: 400,
+                            jsonBody: { 
+                                success: false,
+                                error: `Images not found or not uploaded by you: ${unusableImageIds.join(', ')}` 
+                            }
+                        };
+                    }
+
+                    context.log('Inserting into Post_Images table...');
+                    await attachImagesToPost(transaction, post_id, image_ids, thumbnail_image_id);
+                    images = await getPostGallery(transaction, post_id);
+                }
+
                 // If we get here, everything worked - commit the transaction
                 await transaction.commit();
                 context.log('Transaction committed successfully');
@@ -185,6 +340,8 @@ app.http('createPosts', {
                             description: description || null,
                             user_id,
                             created_date: created_date.toISOString(),
+                            created_at: created_at.toISOString(),
+                            images,
                             // Include type-specific data in response
                             ...(type === 'review' && { spot_id, rating }),
                             ...(type === 'community' && { title, list_id }),
@@ -198,9 +355,6 @@ app.http('createPosts', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError; // Re-throw to be caught by outer try-catch
-            } finally {
-                // Always close the database connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -220,5 +374,57 @@ app.http('createPosts', {
                 }
             };
         }
+    })
+});
+
+/**
+ * Rewrites an existing review in place (?replace=true)
+ * Keeps post_id and created_date, so the review keeps its comments and feed position.
+ * The gallery is only replaced when image_ids is sent.
+ *
+ * Returns { created_date, created_at, edited_date, images } or { error: <http response> }
+ */
+async function replaceReview(transaction, postId, userId, { description, rating, image_ids, thumbnail_image_id }) {
+    if (image_ids) {
+        const unusableImageIds = await findUnusableImageIds(transaction, image_ids, userId);
+        if (unusableImageIds.length > 0) {
+            return {
+                error: {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Images not found or not uploaded by you: ${unusableImageIds.join(', ')}`
+                    }
+                }
+            };
+        }
     }
-});
\ No newline at end of file
+
+    const postResult = await new sql.Request(transaction)
+        .input('post_id', sql.Int, postId)
+        .input('description', sql.NVarChar(500), description || null)
+        .query(`
+            UPDATE Post
+            SET description = @description, edited_date = GETDATE()
+            OUTPUT INSERTED.created_date, INSERTED.created_at, INSERTED.edited_date
+            WHERE post_id = @post_id
+        `);
+
+    await new sql.Request(transaction)
+        .input('post_id', sql.Int, postId)
+        .input('rating', sql.Int, rating)
+        .query('UPDATE Review_Post SET rating = @rating WHERE post_id = @post_id');
+
+    if (image_ids) {
+        await new sql.Request(transaction)
+            .input('post_id', sql.Int, postId)
+            .query('DELETE FROM Post_Images WHERE post_id = @post_id');
+
+        await attachImagesToPost(transaction, postId, image_ids, thumbnail_image_id);
+    }
+
+    return {
+        ...postResult.recordset[0],
+        images: await getPostGallery(transaction, postId)
+    };
+}
\ No newline at end of file
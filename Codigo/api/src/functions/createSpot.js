@@ -1,27 +1,22 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { validateSpotFields, findDuplicateSpot, recordSpotRevision } = require('../shared/spots');
+const { resolveCategoryOrError } = require('../shared/categories');
 
 /**
  * HTTP Trigger Function for Creating Tourist Spots
  * POST /api/spots
+ *
+ * category must be in the taxonomy (GET /api/spots/categories). The pt-BR name or the
+ * English label is accepted in any case, and the pt-BR name is stored.
  */
 app.http('createSpot', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'spots',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Create spot request received');
 
@@ -53,7 +48,7 @@ app.http('createSpot', {
             }
 
             // Extract and validate required fields
-            const { spot_name, country, city, category, description, spot_image_id } = requestBody;
+            const { spot_name, country, city, category, description, spot_image_id, latitude, longitude } = requestBody;
 
             // Check required fields
             if (!spot_name || !country || !city || !category) {
@@ -66,79 +61,38 @@ app.http('createSpot', {
                 };
             }
 
-            // Validate field lengths (based on your database schema)
-            if (spot_name.length > 55) {
-                return {
-                    status: 400,
-                    jsonBody: { 
-                        success: false,
-                        error: 'spot_name must be 55 characters or less' 
-                    }
-                };
-            }
-
-            if (country.length > 30) {
-                return {
-                    status: 400,
-                    jsonBody: { 
-                        success: false,
-                        error: 'country must be 30 characters or less' 
-                    }
-                };
-            }
-
-            if (city.length > 35) {
-                return {
-                    status: 400,
-                    jsonBody: { 
-                        success: false,
-                        error: 'city must be 35 characters or less' 
-                    }
-                };
-            }
-
-            if (category.length > 30) {
+            // Validate field lengths, image ID and coordinates (same rules as updateSpot)
+            const fieldsError = validateSpotFields({
+                spot_name, country, city, category, description, spot_image_id, latitude, longitude
+            });
+            if (fieldsError) {
                 return {
                     status: 400,
                     jsonBody: { 
                         success: false,
-                        error: 'category must be 30 characters or less' 
+                        error: fieldsError 
                     }
                 };
             }
 
-            if (description && description.length > 500) {
-                return {
-                    status: 400,
-                    jsonBody: { 
-                        success: false,
-                        error: 'description must be 500 characters or less' 
-                    }
-                };
-            }
-
-            // Validate data types
-            if (spot_image_id !== null && spot_image_id !== undefined) {
-                if (!Number.isInteger(spot_image_id) || spot_image_id <= 0) {
-                    return {
-                        status: 400,
-                        jsonBody: { 
-                            success: false,
-                            error: 'spot_image_id must be a positive integer' 
-                        }
-                    };
-                }
-            }
-
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction for data consistency
             const transaction = new sql.Transaction(pool);
             await transaction.begin();
 
             try {
+                // Map the category to its taxonomy name
+                context.log('Validating category...');
+                const categoryResult = await resolveCategoryOrError(transaction, category);
+                if (categoryResult.error) {
+                    await transaction.rollback();
+                    return categoryResult.error;
+                }
+                const categoryName = categoryResult.category;
+
                 // Check if image exists (if provided)
                 if (spot_image_id) {
                     context.log('Validating image exists...');
@@ -161,27 +115,16 @@ app.http('createSpot', {
 
                 // Check for duplicate spot (same name in same city)
                 context.log('Checking for duplicate spots...');
-                const duplicateCheckRequest = new sql.Request(transaction);
-                const duplicateResult = await duplicateCheckRequest
-                    .input('spot_name', sql.NVarChar(55), spot_name)
-                    .input('city', sql.NVarChar(35), city)
-                    .input('country', sql.NVarChar(30), country)
-                    .query(`
-                        SELECT spot_id 
-                        FROM Spot 
-                        WHERE spot_name = @spot_name 
-                        AND city = @city 
-                        AND country = @country
-                    `);
+                const duplicateSpotId = await findDuplicateSpot(transaction, { spot_name, city, country });
 
-                if (duplicateResult.recordset.length > 0) {
+                if (duplicateSpotId) {
                     await transaction.rollback();
                     return {
                         status: 409, // 409 = Conflict
                         jsonBody: { 
                             success: false,
                             error: `A spot named "${spot_name}" already exists in ${city}, ${country}`,
-                            existing_spot_id: duplicateResult.recordset[0].spot_id
+                            existing_spot_id: duplicateSpotId
                         }
                     };
                 }
@@ -193,13 +136,15 @@ app.http('createSpot', {
                     .input('spot_name', sql.NVarChar(55), spot_name)
                     .input('country', sql.NVarChar(30), country)
                     .input('city', sql.NVarChar(35), city)
-                    .input('category', sql.NVarChar(30), category)
+                    .input('category', sql.NVarChar(30), categoryName)
                     .input('description', sql.NVarChar(500), description || null)
                     .input('spot_image_id', sql.Int, spot_image_id || null)
+                    .input('latitude', sql.Decimal(9, 6), latitude ?? null)
+                    .input('longitude', sql.Decimal(9, 6), longitude ?? null)
                     .query(`
-                        INSERT INTO Spot (spot_name, country, city, category, description, created_date, spot_image_id)
+                        INSERT INTO Spot (spot_name, country, city, category, description, created_date, spot_image_id, latitude, longitude)
                         OUTPUT INSERTED.spot_id, INSERTED.created_date
-                        VALUES (@spot_name, @country, @city, @category, @description, GETDATE(), @spot_image_id)
+                        VALUES (@spot_name, @country, @city, @category, @description, GETDATE(), @spot_image_id, @latitude, @longitude)
                     `);
 
                 // Get the generated spot_id and created_date
@@ -208,6 +153,14 @@ app.http('createSpot', {
                 
                 context.log('Created spot with ID:', spot_id);
 
+                // First revision, so later edits can be reverted back to it
+                await recordSpotRevision(transaction, spot_id, auth.user_id, 'create');
+
+                // Empty rating aggregates, filled in as reviews come in
+                await new sql.Request(transaction)
+                    .input('spot_id', sql.Int, spot_id)
+                    .query('INSERT INTO Spot_Rating_Stats (spot_id) VALUES (@spot_id)');
+
                 // Commit the transaction
                 await transaction.commit();
                 context.log('Transaction committed successfully');
@@ -224,10 +177,12 @@ app.http('createSpot', {
                             spot_name,
                             country,
                             city,
-                            category,
+                            category: categoryName,
                             description: description || null,
                             created_date: created_date.toISOString(),
-                            spot_image_id: spot_image_id || null
+                            spot_image_id: spot_image_id || null,
+                            latitude: latitude ?? null,
+                            longitude: longitude ?? null
                         }
                     }
                 };
@@ -237,9 +192,6 @@ app.http('createSpot', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError;
-            } finally {
-                // Always close the connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -256,48 +208,5 @@ app.http('createSpot', {
                 }
             };
         }
-    }
-});
-
-/**
- * Helper function to validate common Brazilian categories
- * You can expand this list based on your app's needs
- */
-function isValidCategory(category) {
-    const validCategories = [
-        'Praia',
-        'Cachoeira', 
-        'Montanha',
-        'Parque Nacional',
-        'Centro Histórico',
-        'Museu',
-        'Santuário',
-        'Mirante',
-        'Trilha',
-        'Lagoa',
-        'Rio',
-        'Gruta',
-        'Hotel',
-        'Pousada',
-        'Camping',
-        'Praça',
-        'Monumento',
-        'Memorial',
-        'Estádio',
-        'Chalé',
-        'Natureza',
-    ];
-    
-    return validCategories.includes(category);
-}
-
-// You could add this validation if you want to enforce specific categories:
-// if (!isValidCategory(category)) {
-//     return {
-//         status: 400,
-//         jsonBody: { 
-//             success: false,
-//             error: `Invalid category. Valid options: ${validCategories.join(', ')}` 
-//         }
-//     };
-// }
\ No newline at end of file
+    })
+});
\ No newline at end of file
@@ -1,17 +1,8 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { canUserModifyList } = require('../shared/lists');
 
 /**
  * HTTP Trigger Function for Deleting Entire Lists
@@ -21,7 +12,7 @@ app.http('deleteList', {
     methods: ['DELETE'],
     authLevel: 'anonymous',
     route: 'lists/{listId}',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Delete list request received');
 
@@ -70,7 +61,7 @@ app.http('deleteList', {
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction for data consistency
             const transaction = new sql.Transaction(pool);
@@ -82,7 +73,7 @@ app.http('deleteList', {
                 const listCheckRequest = new sql.Request(transaction);
                 const listResult = await listCheckRequest
                     .input('list_id', sql.Int, listIdNum)
-                    .query('SELECT list_id, list_name, is_public FROM List WHERE list_id = @list_id');
+                    .query('SELECT list_id, list_name, is_public, owner_user_id FROM List WHERE list_id = @list_id');
 
                 if (listResult.recordset.length === 0) {
                     await transaction.rollback();
@@ -98,6 +89,18 @@ app.http('deleteList', {
                 const listInfo = listResult.recordset[0];
                 context.log('Found list:', listInfo.list_name);
 
+                // Only the owner can delete the list
+                if (!canUserModifyList(auth.user_id, listInfo.owner_user_id)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: { 
+                            success: false,
+                            error: 'Only the list owner can delete this list' 
+                        }
+                    };
+                }
+
                 // Step 2: Assess the impact of deletion - count associated records
                 context.log('Assessing deletion impact...');
                 
@@ -335,9 +338,6 @@ app.http('deleteList', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError;
-            } finally {
-                // Always close the connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -354,19 +354,9 @@ app.http('deleteList', {
                 }
             };
         }
-    }
+    })
 });
 
-/**
- * Helper function to validate list deletion permissions
- * For future use when you add user authentication
- */
-function canUserDeleteList(userId, listOwnerId, isPublic) {
-    // For now, anyone can delete any list (no authentication)
-    // Later: return userId === listOwnerId || hasAdminPermission(userId)
-    return true;
-}
-
 /**
  * Helper function to archive list instead of deleting
  * Alternative to permanent deletion
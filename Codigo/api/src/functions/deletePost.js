@@ -1,17 +1,8 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth, isModerator } = require('../shared/auth');
+const { applyReviewRatingChange } = require('../shared/spotRatings');
 
 /**
  * HTTP Trigger Function for Deleting Posts
@@ -21,7 +12,7 @@ app.http('deletePost', {
     methods: ['DELETE'],
     authLevel: 'anonymous',
     route: 'posts/{postId}',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Delete post request received');
 
@@ -70,14 +61,14 @@ app.http('deletePost', {
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction for data consistency
             const transaction = new sql.Transaction(pool);
             await transaction.begin();
 
             try {
-                // Step 1: Get full post details including type-specific data
+                // Step 1: Get full post details including type-specific data, locked until commit
                 context.log('Getting post details...');
                 const postDetailsRequest = new sql.Request(transaction);
                 const postDetailsResult = await postDetailsRequest
@@ -85,6 +76,7 @@ app.http('deletePost', {
                     .query(`
                         SELECT 
                             p.post_id, p.description, p.user_id, p.created_date, p.type,
+                            p.deleted_at, p.deleted_by_user_id,
                             u.display_name, u.username,
                             -- Review-specific data
                             rp.spot_id, rp.rating,
@@ -95,7 +87,7 @@ app.http('deletePost', {
                             lp.title as list_title, lp.list_id as list_list_id,
                             -- List info (for both community and list posts)
                             sl.list_name
-                        FROM Post p
+                        FROM Post p WITH (UPDLOCK, ROWLOCK)
                         LEFT JOIN Users u ON p.user_id = u.user_id
                         LEFT JOIN Review_Post rp ON p.post_id = rp.post_id
                         LEFT JOIN Spot s ON rp.spot_id = s.spot_id
@@ -119,6 +111,33 @@ app.http('deletePost', {
                 const postInfo = postDetailsResult.recordset[0];
                 context.log(`Found ${postInfo.type} post by user ${postInfo.username}`);
 
+                // Only the author or a moderator can delete the post
+                const actingAsModerator = auth.user_id !== postInfo.user_id && isModerator(auth);
+                if (!canUserDeletePost(auth.user_id, postInfo.user_id, isModerator(auth))) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: { 
+                            success: false,
+                            error: 'Only the post author or a moderator can delete this post' 
+                        }
+                    };
+                }
+
+                // A tombstone can be purged with a hard delete, but not soft deleted twice
+                if (softDelete && postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: { 
+                            success: false,
+                            error: `Post with ID ${postIdNum} is already deleted`,
+                            deleted_at: postInfo.deleted_at.toISOString(),
+                            suggestion: `POST /api/posts/${postIdNum}/restore to restore it`
+                        }
+                    };
+                }
+
                 // Step 2: Get associated images
                 context.log('Getting post images...');
                 const imagesRequest = new sql.Request(transaction);
@@ -203,15 +222,17 @@ app.http('deletePost', {
                 };
 
                 if (softDelete) {
-                    // Soft delete: just mark as deleted
+                    // Soft delete: keep the rows and mark the post as a tombstone
+                    // It is hidden from feeds and rating stats until restored or purged
                     context.log('Performing soft delete...');
                     const softDeleteRequest = new sql.Request(transaction);
                     await softDeleteRequest
                         .input('post_id', sql.Int, postIdNum)
+                        .input('deleted_by_user_id', sql.Int, auth.user_id)
                         .query(`
                             UPDATE Post 
-                            SET description = description + ' [DELETED]'
-                            WHERE post_id = @post_id
+                            SET deleted_at = GETDATE(), deleted_by_user_id = @deleted_by_user_id
+                            WHERE post_id = @post_id AND deleted_at IS NULL
                         `);
                     
                     deletionResults.base_post_deleted = true;
@@ -280,12 +301,16 @@ app.http('deletePost', {
                 }
 
                 // Step 5: Update related statistics (for review posts)
-                if (postInfo.type === 'review' && postInfo.spot_id && !softDelete) {
+                // A tombstone was already taken out of the aggregates when it was soft deleted
+                if (postInfo.type === 'review' && postInfo.spot_id && !postInfo.deleted_at) {
                     context.log('Updating spot rating statistics...');
-                    // The spot's average rating will be automatically recalculated 
-                    // when the application queries for it, since we removed this review
+                    await applyReviewRatingChange(transaction, postInfo.spot_id, postInfo.rating, null);
                 }
 
+                // Record who performed the delete (same transaction: no log, no delete)
+                context.log('Logging post deletion...');
+                await logPostDeletion(postInfo, deletionResults, auth.user_id, transaction);
+
                 // Commit the transaction
                 await transaction.commit();
                 context.log('Post deletion transaction committed successfully');
@@ -301,6 +326,10 @@ app.http('deletePost', {
                         created_date: postInfo.created_date.toISOString(),
                         deleted_at: new Date().toISOString()
                     },
+                    deleted_by: {
+                        user_id: auth.user_id,
+                        as_moderator: actingAsModerator
+                    },
                     deletion_results: deletionResults,
                     impact_summary: {
                         total_records_affected: (
@@ -315,13 +344,18 @@ app.http('deletePost', {
 
                 // Add type-specific impact details to response
                 if (postInfo.type === 'review') {
-                    responseData.impact_summary.spot_rating_updated = !softDelete;
+                    responseData.impact_summary.spot_rating_updated = !postInfo.deleted_at; // Purging a tombstone changes nothing
                     responseData.impact_summary.spot_affected = postInfo.spot_name;
                     responseData.impact_summary.rating_removed = postInfo.rating;
                 } else if (postInfo.type === 'community' || postInfo.type === 'list') {
                     responseData.impact_summary.list_affected = postInfo.list_name;
                 }
 
+                // Tell the client how to undo a soft delete
+                if (softDelete) {
+                    responseData.restore_endpoint = `POST /api/posts/${postIdNum}/restore`;
+                }
+
                 return {
                     status: 200,
                     jsonBody: {
@@ -336,9 +370,6 @@ app.http('deletePost', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError;
-            } finally {
-                // Always close the connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -355,17 +386,14 @@ app.http('deletePost', {
                 }
             };
         }
-    }
+    })
 });
 
 /**
  * Helper function to validate post deletion permissions
- * For future use when you add user authentication
  */
 function canUserDeletePost(requestingUserId, postUserId, isUserModerator = false) {
-    // For now, anyone can delete any post (no authentication)
-    // Later: return requestingUserId === postUserId || isUserModerator
-    return true;
+    return requestingUserId === postUserId || isUserModerator;
 }
 
 /**
@@ -394,12 +422,13 @@ async function getUserPostCount(userId, pool) {
 }
 
 /**
- * Helper function to log post deletion for analytics
+ * Helper function to log post deletion for moderation and analytics
+ * Accepts a pool or a transaction. Inside a transaction a failure is rethrown, so the
+ * delete is rolled back rather than committed without its log entry.
  */
-async function logPostDeletion(postInfo, deletionResults, requestingUserId, pool) {
+async function logPostDeletion(postInfo, deletionResults, requestingUserId, poolOrTransaction) {
     try {
-        // This would insert into a hypothetical Post_Deletion_Log table
-        const request = new sql.Request(pool);
+        const request = new sql.Request(poolOrTransaction);
         await request
             .input('post_id', sql.Int, postInfo.post_id)
             .input('post_type', sql.NVarChar(11), postInfo.type)
@@ -415,7 +444,10 @@ async function logPostDeletion(postInfo, deletionResults, requestingUserId, pool
             `);
         return true;
     } catch (error) {
-        // Don't fail the main operation if logging fails
+        if (poolOrTransaction instanceof sql.Transaction) {
+            throw error;
+        }
+        // Outside a transaction there is nothing to roll back, don't fail the caller
         return false;
     }
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+const { app } = require('@azure/functions');
+const { withAuth } = require('../shared/auth');
+const {
+    ALLOWED_IMAGE_TYPES,
+    createUploadUrl,
+    isAllowedImageType,
+    getMaxImageBytes
+} = require('../shared/blobStorage');
+
+/**
+ * HTTP Trigger Function for Issuing Image Upload URLs
+ * POST /api/images/upload-url
+ *
+ * Returns a short-lived, write-only SAS URL for a new blob.
+ * The app PUTs the file there, then calls POST /api/images/register.
+ */
+app.http('getImageUploadUrl', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'images/upload-url',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Image upload URL request received');
+
+        try {
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            // Validate request body exists
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            const { fileName, contentType, fileSize } = requestBody;
+
+            // Validate content type
+            if (!contentType || !isAllowedImageType(contentType)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Invalid contentType. Valid options: ${Object.keys(ALLOWED_IMAGE_TYPES).join(', ')}`
+                    }
+                };
+            }
+
+            // Validate declared size (the real size is checked again on registration)
+            const maxBytes = getMaxImageBytes();
+            if (!Number.isInteger(fileSize) || fileSize <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'fileSize must be a positive integer (bytes)'
+                    }
+                };
+            }
+
+            if (fileSize > maxBytes) {
+                return {
+                    status: 413, // 413 = Payload Too Large
+                    jsonBody: {
+                        success: false,
+                        error: `fileSize must be ${maxBytes} bytes or less`
+                    }
+                };
+            }
+
+            // Validate file name (only stored as image_name, never used as the blob name)
+            if (fileName !== undefined && fileName !== null &&
+                (typeof fileName !== 'string' || fileName.length > 255)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'fileName must be a string of 255 characters or less'
+                    }
+                };
+            }
+
+            context.log(`Issuing upload URL for user ${auth.user_id}, ${contentType}, ${fileSize} bytes`);
+            const upload = await createUploadUrl(auth.user_id, contentType);
+
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    message: 'Upload URL created successfully',
+                    data: {
+                        uploadUrl: upload.uploadUrl,
+                        blobUrl: upload.blobUrl,
+                        fileName: fileName || upload.blobName.split('/').pop(),
+                        contentType,
+                        maxFileSize: maxBytes,
+                        expiresAt: upload.expiresOn.toISOString(),
+                        // The PUT must send these headers
+                        requiredHeaders: {
+                            'x-ms-blob-type': 'BlockBlob',
+                            'Content-Type': contentType
+                        }
+                    }
+                }
+            };
+
+        } catch (error) {
+            context.log('ERROR creating image upload URL:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to create upload URL. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
@@ -1,17 +1,8 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { formatDateOnly } = require('../shared/lists');
 
 /**
  * HTTP Trigger Function for Getting List Contents
@@ -21,7 +12,7 @@ app.http('getListContents', {
     methods: ['GET'],
     authLevel: 'anonymous',
     route: 'lists/{listId}/spots',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Get list contents request received');
 
@@ -53,13 +44,14 @@ app.http('getListContents', {
             // Get query parameters for ordering and filtering
             const url = new URL(request.url);
             const orderBy = url.searchParams.get('orderBy') || 'added_date'; // Default: newest first
-            const orderDirection = url.searchParams.get('order') || 'desc'; // desc or asc
+            // desc or asc; the itinerary order reads first to last
+            const orderDirection = url.searchParams.get('order') || (orderBy === 'position' ? 'asc' : 'desc');
             const includeImages = url.searchParams.get('includeImages') !== 'false'; // Default: true
 
             context.log(`Getting contents for list ${listIdNum}, orderBy: ${orderBy}, order: ${orderDirection}`);
 
             // Validate ordering parameters
-            const validOrderBy = ['added_date', 'spot_name', 'city', 'category'];
+            const validOrderBy = ['added_date', 'position', 'spot_name', 'city', 'category'];
             const validOrderDirection = ['asc', 'desc'];
             
             if (!validOrderBy.includes(orderBy)) {
@@ -84,167 +76,203 @@ app.http('getListContents', {
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             const request_db = new sql.Request(pool);
 
-            try {
-                // Step 1: Verify list exists and get list metadata
-                context.log('Verifying list exists...');
-                const listCheckResult = await request_db
-                    .input('list_id', sql.Int, listIdNum)
-                    .query(`
-                        SELECT list_id, list_name, is_public
-                        FROM List 
-                        WHERE list_id = @list_id
-                    `);
-
-                if (listCheckResult.recordset.length === 0) {
-                    return {
-                        status: 404,
-                        jsonBody: { 
-                            success: false,
-                            error: `List with ID ${listIdNum} does not exist` 
-                        }
-                    };
-                }
+            // Step 1: Verify list exists and get list metadata
+            context.log('Verifying list exists...');
+            const listCheckResult = await request_db
+                .input('list_id', sql.Int, listIdNum)
+                .query(`
+                    SELECT list_id, list_name, is_public, owner_user_id
+                    FROM List 
+                    WHERE list_id = @list_id
+                `);
 
-                const listInfo = listCheckResult.recordset[0];
-                context.log('Found list:', listInfo.list_name);
-
-                // Step 2: Get list contents with full spot details
-                context.log('Fetching list contents...');
-                
-                // Build the ORDER BY clause dynamically
-                let orderByClause;
-                switch (orderBy) {
-                    case 'added_date':
-                        orderByClause = `lhs.created_date ${orderDirection.toUpperCase()}`;
-                        break;
-                    case 'spot_name':
-                        orderByClause = `s.spot_name ${orderDirection.toUpperCase()}`;
-                        break;
-                    case 'city':
-                        orderByClause = `s.city ${orderDirection.toUpperCase()}, s.spot_name ASC`;
-                        break;
-                    case 'category':
-                        orderByClause = `s.category ${orderDirection.toUpperCase()}, s.spot_name ASC`;
-                        break;
-                }
+            if (listCheckResult.recordset.length === 0) {
+                return {
+                    status: 404,
+                    jsonBody: { 
+                        success: false,
+                        error: `List with ID ${listIdNum} does not exist` 
+                    }
+                };
+            }
+
+            const listInfo = listCheckResult.recordset[0];
+            const isOwner = isListOwner(auth, listInfo.owner_user_id);
+
+            // Private lists are reported as missing to anyone but their owner
+            if (!listInfo.is_public && !isOwner) {
+                return {
+                    status: 404,
+                    jsonBody: { 
+                        success: false,
+                        error: `List with ID ${listIdNum} does not exist` 
+                    }
+                };
+            }
+
+            context.log('Found list:', listInfo.list_name);
+
+            // Step 2: Get list contents with full spot details
+            context.log('Fetching list contents...');
+            
+            // Build the ORDER BY clause dynamically
+            let orderByClause;
+            switch (orderBy) {
+                case 'added_date':
+                    orderByClause = `lhs.created_date ${orderDirection.toUpperCase()}`;
+                    break;
+                case 'position':
+                    orderByClause = `lhs.position ${orderDirection.toUpperCase()}`;
+                    break;
+                case 'spot_name':
+                    orderByClause = `s.spot_name ${orderDirection.toUpperCase()}`;
+                    break;
+                case 'city':
+                    orderByClause = `s.city ${orderDirection.toUpperCase()}, s.spot_name ASC`;
+                    break;
+                case 'category':
+                    orderByClause = `s.category ${orderDirection.toUpperCase()}, s.spot_name ASC`;
+                    break;
+            }
+
+            // Build image joins and fields conditionally
+            const imageJoins = includeImages ? `
+                LEFT JOIN Images thumb ON lhs.list_thumbnail_id = thumb.image_id
+                LEFT JOIN Images spot_img ON s.spot_image_id = spot_img.image_id
+            ` : '';
+
+            const imageFields = includeImages ? `,
+                thumb.blob_url as thumbnail_url,
+                thumb.image_name as thumbnail_name,
+                spot_img.blob_url as spot_image_url,
+                spot_img.image_name as spot_image_name` : '';
 
-                // Build image joins and fields conditionally
-                const imageJoins = includeImages ? `
-                    LEFT JOIN Images thumb ON lhs.list_thumbnail_id = thumb.image_id
-                    LEFT JOIN Images spot_img ON s.spot_image_id = spot_img.image_id
-                ` : '';
+            const contentsQuery = `
+                SELECT 
+                    lhs.list_id, 
+                    lhs.spot_id, 
+                    lhs.created_date as added_date, 
+                    lhs.list_thumbnail_id,
+                    lhs.position,
+                    lhs.note,
+                    lhs.visited,
+                    lhs.visited_date,
+                    lhs.planned_date,
+                    s.spot_name, 
+                    s.country, 
+                    s.city, 
+                    s.category, 
+                    s.description as spot_description,
+                    s.created_date as spot_created_date,
+                    s.spot_image_id,
+                    l.list_name, 
+                    l.is_public${imageFields}
+                FROM List_has_Spot lhs
+                INNER JOIN Spot s ON lhs.spot_id = s.spot_id
+                INNER JOIN List l ON lhs.list_id = l.list_id${imageJoins}
+                WHERE lhs.list_id = @list_id
+                ORDER BY ${orderByClause}
+            `;
 
-                const imageFields = includeImages ? `,
-                    thumb.blob_url as thumbnail_url,
-                    thumb.image_name as thumbnail_name,
-                    spot_img.blob_url as spot_image_url,
-                    spot_img.image_name as spot_image_name` : '';
+            const contentsRequest = new sql.Request(pool);
+            const contentsResult = await contentsRequest
+                .input('list_id', sql.Int, listIdNum)
+                .query(contentsQuery);
 
-                const contentsQuery = `
+            // Step 3: Get list statistics
+            context.log('Getting list statistics...');
+            const statsRequest = new sql.Request(pool);
+            const statsResult = await statsRequest
+                .input('list_id', sql.Int, listIdNum)
+                .query(`
                     SELECT 
-                        lhs.list_id, 
-                        lhs.spot_id, 
-                        lhs.created_date as added_date, 
-                        lhs.list_thumbnail_id,
-                        s.spot_name, 
-                        s.country, 
-                        s.city, 
-                        s.category, 
-                        s.description as spot_description,
-                        s.created_date as spot_created_date,
-                        s.spot_image_id,
-                        l.list_name, 
-                        l.is_public${imageFields}
+                        COUNT(*) as total_spots,
+                        COUNT(lhs.list_thumbnail_id) as spots_with_thumbnails,
+                        COUNT(CASE WHEN lhs.visited = 1 THEN 1 END) as visited_spots,
+                        COUNT(lhs.planned_date) as planned_spots,
+                        MIN(lhs.created_date) as first_spot_added,
+                        MAX(lhs.created_date) as last_spot_added
                     FROM List_has_Spot lhs
-                    INNER JOIN Spot s ON lhs.spot_id = s.spot_id
-                    INNER JOIN List l ON lhs.list_id = l.list_id${imageJoins}
                     WHERE lhs.list_id = @list_id
-                    ORDER BY ${orderByClause}
-                `;
-
-                const contentsRequest = new sql.Request(pool);
-                const contentsResult = await contentsRequest
-                    .input('list_id', sql.Int, listIdNum)
-                    .query(contentsQuery);
-
-                // Step 3: Get list statistics
-                context.log('Getting list statistics...');
-                const statsRequest = new sql.Request(pool);
-                const statsResult = await statsRequest
-                    .input('list_id', sql.Int, listIdNum)
-                    .query(`
-                        SELECT 
-                            COUNT(*) as total_spots,
-                            COUNT(lhs.list_thumbnail_id) as spots_with_thumbnails,
-                            MIN(lhs.created_date) as first_spot_added,
-                            MAX(lhs.created_date) as last_spot_added
-                        FROM List_has_Spot lhs
-                        WHERE lhs.list_id = @list_id
-                    `);
-
-                const stats = statsResult.recordset[0];
-
-                // Step 4: Transform the data for response
-                const spots = contentsResult.recordset.map(row => {
-                    const spotData = {
-                        spot_id: row.spot_id,
-                        spot_name: row.spot_name,
-                        country: row.country,
-                        city: row.city,
-                        category: row.category,
-                        description: row.spot_description,
-                        location: `${row.city}, ${row.country}`,
-                        spot_created_date: row.spot_created_date?.toISOString(),
-                        added_to_list_date: row.added_date.toISOString(),
-                        spot_image_id: row.spot_image_id,
-                        list_thumbnail_id: row.list_thumbnail_id
-                    };
-
-                    // Add image URLs if requested
-                    if (includeImages) {
-                        spotData.thumbnail_url = row.thumbnail_url || null;
-                        spotData.thumbnail_name = row.thumbnail_name || null;
-                        spotData.spot_image_url = row.spot_image_url || null;
-                        spotData.spot_image_name = row.spot_image_name || null;
-                    }
+                `);
 
-                    return spotData;
-                });
-
-                context.log(`Found ${spots.length} spots in list`);
-
-                // Step 5: Build comprehensive response
-                const response = {
-                    success: true,
-                    list_info: {
-                        list_id: listIdNum,
-                        list_name: listInfo.list_name,
-                        is_public: listInfo.is_public,
-                        total_spots: stats.total_spots,
-                        spots_with_thumbnails: stats.spots_with_thumbnails,
-                        first_spot_added: stats.first_spot_added?.toISOString() || null,
-                        last_spot_added: stats.last_spot_added?.toISOString() || null
-                    },
-                    spots: spots,
-                    query_info: {
-                        ordered_by: orderBy,
-                        order_direction: orderDirection,
-                        includes_images: includeImages
-                    }
-                };
+            const stats = statsResult.recordset[0];
 
-                return {
-                    status: 200,
-                    jsonBody: response
+            // Step 4: Transform the data for response
+            const spots = contentsResult.recordset.map(row => {
+                const spotData = {
+                    spot_id: row.spot_id,
+                    position: row.position,
+                    spot_name: row.spot_name,
+                    country: row.country,
+                    city: row.city,
+                    category: row.category,
+                    description: row.spot_description,
+                    location: `${row.city}, ${row.country}`,
+                    spot_created_date: row.spot_created_date?.toISOString(),
+                    added_to_list_date: row.added_date.toISOString(),
+                    spot_image_id: row.spot_image_id,
+                    list_thumbnail_id: row.list_thumbnail_id
                 };
 
-            } finally {
-                // Always close the connection
-                await pool.close();
-            }
+                // Owner's personal details (PUT /api/lists/{id}/spots/{spotId}), only for the owner
+                if (isOwner) {
+                    spotData.note = row.note;
+                    spotData.visited = row.visited;
+                    spotData.visited_date = formatDateOnly(row.visited_date);
+                    spotData.planned_date = formatDateOnly(row.planned_date);
+                }
+
+                // Add image URLs if requested
+                if (includeImages) {
+                    spotData.thumbnail_url = row.thumbnail_url || null;
+                    spotData.thumbnail_name = row.thumbnail_name || null;
+                    spotData.spot_image_url = row.spot_image_url || null;
+                    spotData.spot_image_name = row.spot_image_name || null;
+                }
+
+                return spotData;
+            });
+
+            context.log(`Found ${spots.length} spots in list`);
+
+            // Step 5: Build comprehensive response
+            const response = {
+                success: true,
+                list_info: {
+                    list_id: listIdNum,
+                    list_name: listInfo.list_name,
+                    is_public: listInfo.is_public,
+                    owner_user_id: listInfo.owner_user_id,
+                    is_owner: isOwner,
+                    total_spots: stats.total_spots,
+                    spots_with_thumbnails: stats.spots_with_thumbnails,
+                    ...(isOwner && {
+                        visited_progress: {
+                            visited_spots: stats.visited_spots,
+                            remaining_spots: stats.total_spots - stats.visited_spots,
+                            percentage: stats.total_spots > 0 ? Math.round(stats.visited_spots * 100 / stats.total_spots) : 0
+                        },
+                        planned_spots: stats.planned_spots
+                    }),
+                    first_spot_added: stats.first_spot_added?.toISOString() || null,
+                    last_spot_added: stats.last_spot_added?.toISOString() || null
+                },
+                spots: spots,
+                query_info: {
+                    ordered_by: orderBy,
+                    order_direction: orderDirection,
+                    includes_images: includeImages
+                }
+            };
+
+            return {
+                status: 200,
+                jsonBody: response
+            };
 
         } catch (error) {
             context.log('ERROR getting list contents:', error.message);
@@ -260,9 +288,19 @@ app.http('getListContents', {
                 }
             };
         }
-    }
+    }, { optional: true })
 });
 
+/**
+ * Helper function to check if the caller owns a list
+ * auth is null for anonymous requests
+ */
+function isListOwner(auth, listOwnerId) {
+    return auth !== null && auth !== undefined &&
+        listOwnerId !== null && listOwnerId !== undefined &&
+        auth.user_id === listOwnerId;
+}
+
 /**
  * Helper function to get category-based statistics
  * Could be useful for displaying list breakdowns
@@ -1,27 +1,26 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth, isModerator } = require('../shared/auth');
+const { getPostGalleries } = require('../shared/postImages');
+const { isValidDateOnly } = require('../shared/lists');
 
-// Database configuration (same as posts.js)
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+// Hard cap on page size, whatever the client asks for
+const MAX_POSTS_PAGE_SIZE = 100;
 
 /**
  * HTTP Trigger Function for Getting Posts
  * Supports: GET /api/posts, GET /api/posts/{id}
+ *
+ * Listing supports two pagination modes:
+ * - page/limit (OFFSET), kept for existing clients
+ * - cursor/limit (keyset on created_at + post_id), stable while new posts arrive
  */
 app.http('getPosts', {
     methods: ['GET'],
     authLevel: 'anonymous',
     route: 'posts/{id?}', // {id?} makes the id parameter optional
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Get posts request received');
 
@@ -32,27 +31,54 @@ app.http('getPosts', {
             // Get query parameters for pagination and filtering
             const url = new URL(request.url);
             const page = parseInt(url.searchParams.get('page')) || 1;
-            const limit = parseInt(url.searchParams.get('limit')) || 20;
+            const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 20, 1), MAX_POSTS_PAGE_SIZE);
+            const cursorParam = url.searchParams.get('cursor'); // next_cursor of the previous page
             const userId = url.searchParams.get('userId'); // Filter by user
             const type = url.searchParams.get('type'); // Filter by post type
+
+            // Spot screen (reviews of a spot), list screen (posts sharing a list), date range, rating
+            const { filters, error: filtersError } = parsePostFilters(url.searchParams, type);
+            if (filtersError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: filtersError
+                    }
+                };
+            }
             
             // Calculate offset for pagination
             const offset = (page - 1) * limit;
+
+            // An invalid cursor is a client error, not "start from the top"
+            const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+            if (cursorParam && !cursor) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Invalid cursor. Use the next_cursor value of a previous response.'
+                    }
+                };
+            }
             
             context.log(`Request params - postId: ${postId}, page: ${page}, limit: ${limit}, userId: ${userId}, type: ${type}`);
 
             // Connect to database
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             const request_db = new sql.Request(pool);
 
             let query;
             let countQuery;
+            let countParams = {};
 
             if (postId) {
                 // Get specific post by ID
                 query = `
                     SELECT 
-                        p.post_id, p.description, p.user_id, p.created_date, p.type,
+                        p.post_id, p.description, p.user_id, p.created_date, p.created_at, p.type, p.edited_date,
+                        p.deleted_at, p.deleted_by_user_id,
                         u.display_name, u.username, u.user_email, u.biography,
                         -- Review-specific fields
                         rp.spot_id, rp.rating, 
@@ -75,25 +101,72 @@ app.http('getPosts', {
                 request_db.input('postId', sql.Int, postId);
             } else {
                 // Get multiple posts with filtering and pagination
-                let whereConditions = [];
+                // Soft deleted posts (tombstones) never appear in listings
+                // Every filter goes through queryParams, so the count query gets exactly the same inputs
+                let whereConditions = ['p.deleted_at IS NULL'];
+                const queryParams = {};
                 
                 if (userId) {
                     whereConditions.push('p.user_id = @userId');
-                    request_db.input('userId', sql.Int, userId);
+                    queryParams.userId = { type: sql.Int, value: userId };
                 }
                 
                 if (type) {
                     whereConditions.push('p.type = @type');
-                    request_db.input('type', sql.NVarChar(11), type);
+                    queryParams.type = { type: sql.NVarChar(11), value: type };
+                }
+
+                if (filters.spot_id) {
+                    whereConditions.push('rp.spot_id = @spot_id');
+                    queryParams.spot_id = { type: sql.Int, value: filters.spot_id };
+                }
+
+                if (filters.list_id) {
+                    // A private list's posts only for its owner (like getListContents, no hint it exists)
+                    whereConditions.push('(cp.list_id = @list_id OR lp.list_id = @list_id)');
+                    whereConditions.push(`EXISTS (
+                        SELECT 1 FROM List fl
+                        WHERE fl.list_id = @list_id AND (fl.is_public = 1 OR fl.owner_user_id = @caller_id)
+                    )`);
+                    queryParams.list_id = { type: sql.Int, value: filters.list_id };
+                    queryParams.caller_id = { type: sql.Int, value: auth ? auth.user_id : null };
+                }
+
+                if (filters.from_date) {
+                    whereConditions.push('p.created_date >= @from_date');
+                    queryParams.from_date = { type: sql.Date, value: new Date(filters.from_date) };
+                }
+
+                if (filters.to_date) {
+                    whereConditions.push('p.created_date <= @to_date');
+                    queryParams.to_date = { type: sql.Date, value: new Date(filters.to_date) };
+                }
+
+                if (filters.min_rating) {
+                    whereConditions.push('rp.rating >= @min_rating');
+                    queryParams.min_rating = { type: sql.Int, value: filters.min_rating };
                 }
                 
-                const whereClause = whereConditions.length > 0 
-                    ? 'WHERE ' + whereConditions.join(' AND ')
-                    : '';
+                const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+                Object.entries(queryParams).forEach(([key, param]) => {
+                    request_db.input(key, param.type, param.value);
+                });
+
+                // Keyset: everything strictly after the last post of the previous page
+                // (not part of the count, total stays the size of the whole feed)
+                let cursorCondition = '';
+                if (cursor) {
+                    cursorCondition = `AND (p.created_at < @cursor_created_at
+                        OR (p.created_at = @cursor_created_at AND p.post_id < @cursor_post_id))`;
+                    request_db.input('cursor_created_at', sql.DateTime2(3), cursor.created_at);
+                    request_db.input('cursor_post_id', sql.Int, cursor.post_id);
+                }
 
+                // created_date is a DATE: created_at + post_id give a total, stable order
                 query = `
                     SELECT 
-                        p.post_id, p.description, p.user_id, p.created_date, p.type,
+                        p.post_id, p.description, p.user_id, p.created_date, p.created_at, p.type, p.edited_date,
                         u.display_name, u.username,
                         -- Review-specific fields
                         rp.spot_id, rp.rating, 
@@ -112,19 +185,25 @@ app.http('getPosts', {
                     LEFT JOIN List_Post lp ON p.post_id = lp.post_id
                     LEFT JOIN List sl ON COALESCE(cp.list_id, lp.list_id) = sl.list_id
                     ${whereClause}
-                    ORDER BY p.created_date DESC
-                    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+                    ${cursorCondition}
+                    ORDER BY p.created_at DESC, p.post_id DESC
+                    OFFSET @offset ROWS FETCH NEXT @fetch ROWS ONLY
                 `;
 
-                // Count query for pagination
+                // Count query for pagination (same joins the filters can reference)
                 countQuery = `
                     SELECT COUNT(*) as total
                     FROM Post p
+                    LEFT JOIN Review_Post rp ON p.post_id = rp.post_id
+                    LEFT JOIN Community_Post cp ON p.post_id = cp.post_id
+                    LEFT JOIN List_Post lp ON p.post_id = lp.post_id
                     ${whereClause}
                 `;
+                countParams = queryParams;
 
-                request_db.input('offset', sql.Int, offset);
-                request_db.input('limit', sql.Int, limit);
+                // One extra row tells whether there is a next page
+                request_db.input('offset', sql.Int, cursor ? 0 : offset);
+                request_db.input('fetch', sql.Int, limit + 1);
             }
 
             // Execute the main query
@@ -133,7 +212,11 @@ app.http('getPosts', {
 
             if (postId) {
                 // Single post response
-                if (result.recordset.length === 0) {
+                // Tombstones are only visible to their author and moderators (so they can restore them)
+                const row = result.recordset[0];
+                const canSeeDeleted = row && auth && (auth.user_id === row.user_id || isModerator(auth));
+
+                if (!row || (row.deleted_at && !canSeeDeleted)) {
                     return {
                         status: 404,
                         jsonBody: {
@@ -143,7 +226,8 @@ app.http('getPosts', {
                     };
                 }
 
-                const postData = transformPostData(result.recordset[0]);
+                const galleries = await getPostGalleries(pool, [row.post_id]);
+                const postData = transformPostData(row, galleries.get(row.post_id));
                 
                 return {
                     status: 200,
@@ -157,14 +241,24 @@ app.http('getPosts', {
                 let total = 0;
                 if (countQuery) {
                     const countRequest = new sql.Request(pool);
-                    if (userId) countRequest.input('userId', sql.Int, userId);
-                    if (type) countRequest.input('type', sql.NVarChar(11), type);
+                    Object.entries(countParams).forEach(([key, param]) => {
+                        countRequest.input(key, param.type, param.value);
+                    });
                     
                     const countResult = await countRequest.query(countQuery);
                     total = countResult.recordset[0].total;
                 }
 
-                const posts = result.recordset.map(transformPostData);
+                const hasMore = result.recordset.length > limit;
+                const rows = result.recordset.slice(0, limit);
+
+                // Ordered galleries for the whole page in one query
+                const galleries = await getPostGalleries(pool, rows.map((row) => row.post_id));
+                const posts = rows.map((row) => transformPostData(row, galleries.get(row.post_id)));
+
+                // Also returned in page mode, so a client can switch to cursors
+                const lastRow = rows[rows.length - 1];
+                const nextCursor = hasMore ? encodeCursor(lastRow) : null;
 
                 return {
                     status: 200,
@@ -173,9 +267,19 @@ app.http('getPosts', {
                         posts: posts,
                         pagination: {
                             total: total,
-                            page: page,
+                            page: cursor ? null : page,
                             limit: limit,
-                            hasMore: offset + posts.length < total
+                            hasMore: hasMore,
+                            next_cursor: nextCursor
+                        },
+                        filters_applied: {
+                            userId: userId || null,
+                            type: type || null,
+                            spot_id: filters.spot_id || null,
+                            list_id: filters.list_id || null,
+                            fromDate: filters.from_date || null,
+                            toDate: filters.to_date || null,
+                            minRating: filters.min_rating || null
                         }
                     }
                 };
@@ -194,23 +298,34 @@ app.http('getPosts', {
                 }
             };
         }
-    }
+    }, { optional: true })
 });
 
 /**
  * Transform raw database row into proper post object
  * This handles the polymorphic nature of posts
  */
-function transformPostData(row) {
+function transformPostData(row, images) {
     // Base post data
     const basePost = {
         post_id: row.post_id,
         description: row.description,
         user_id: row.user_id,
         created_date: row.created_date,
-        type: row.type
+        created_at: row.created_at,
+        type: row.type,
+        // null until the author edits the post (PUT /api/posts/{id})
+        edited_date: row.edited_date || null,
+        // Ordered gallery, the thumbnail is flagged with is_thumbnail
+        images: images || []
     };
 
+    // Only present on soft deleted posts
+    if (row.deleted_at) {
+        basePost.deleted_at = row.deleted_at;
+        basePost.deleted_by_user_id = row.deleted_by_user_id;
+    }
+
     // Add user data if available
     if (row.display_name) {
         basePost.user = {
@@ -267,4 +382,91 @@ function transformPostData(row) {
     }
 
     return basePost;
+}
+
+/**
+ * Parse and validate the spot, list, date range and rating filters
+ * Returns { filters } or { error } (a message for a 400 response)
+ */
+function parsePostFilters(searchParams, type) {
+    const filters = {};
+
+    for (const name of ['spot_id', 'list_id']) {
+        const value = searchParams.get(name);
+        if (value === null) continue;
+
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed <= 0) {
+            return { error: `${name} must be a positive integer` };
+        }
+        filters[name] = parsed;
+    }
+
+    // Dates are YYYY-MM-DD and both ends are inclusive
+    for (const [name, key] of [['fromDate', 'from_date'], ['toDate', 'to_date']]) {
+        const value = searchParams.get(name);
+        if (value === null) continue;
+
+        // A real day: 2025-02-30 would silently become 2025-03-02
+        if (!isValidDateOnly(value)) {
+            return { error: `${name} must be a date in YYYY-MM-DD format` };
+        }
+        filters[key] = value;
+    }
+
+    if (filters.from_date && filters.to_date && filters.from_date > filters.to_date) {
+        return { error: 'fromDate must be before or equal to toDate' };
+    }
+
+    const minRating = searchParams.get('minRating');
+    if (minRating !== null) {
+        const parsed = Number(minRating);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > 5) {
+            return { error: 'minRating must be an integer between 1 and 5' };
+        }
+        filters.min_rating = parsed;
+    }
+
+    // Spots and ratings only exist on reviews, lists only on community/list posts
+    if ((filters.spot_id || filters.min_rating) && type && type !== 'review') {
+        return { error: 'spot_id and minRating only apply to review posts' };
+    }
+
+    if (filters.list_id && type === 'review') {
+        return { error: 'list_id only applies to community and list posts' };
+    }
+
+    if (filters.list_id && (filters.spot_id || filters.min_rating)) {
+        return { error: 'list_id can\'t be combined with spot_id or minRating (they match different post types)' };
+    }
+
+    return { filters };
+}
+
+/**
+ * Opaque cursor pointing after a post: base64url of { created_at, post_id }
+ */
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify({
+        created_at: row.created_at.toISOString(),
+        post_id: row.post_id
+    })).toString('base64url');
+}
+
+/**
+ * Returns { created_at: Date, post_id } or null when the cursor is malformed
+ */
+function decodeCursor(value) {
+    try {
+        const decoded = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        const createdAt = new Date(decoded.created_at);
+
+        if (isNaN(createdAt.getTime()) || !Number.isInteger(decoded.post_id) || decoded.post_id <= 0) {
+            return null;
+        }
+
+        return { created_at: createdAt, post_id: decoded.post_id };
+    } catch (error) {
+        return null;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,249 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { SEARCH_COLLATION, tokenizeSearch } = require('../shared/search');
+
+// Sort options of the public list browser, and the default of each route
+const LIST_ORDER_BY = ['recent', 'spot_count', 'post_count', 'list_name'];
+const PUBLIC_LISTS_DEFAULT_ORDER_BY = 'recent';
+const POPULAR_LISTS_DEFAULT_ORDER_BY = 'post_count';
+
+/**
+ * HTTP Trigger Function for Browsing Public Lists
+ * GET /api/lists/public  - newest first by default
+ * GET /api/lists/popular - most shared (posts referencing the list) first by default
+ *
+ * Both page through is_public = 1 lists and accept the same parameters:
+ * page, limit, search (list_name), orderBy (recent, spot_count, post_count, list_name), order
+ */
+app.http('getPublicLists', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'lists/public',
+    handler: withAuth(async (request, context, auth) => {
+        return getPublicLists(request, context, PUBLIC_LISTS_DEFAULT_ORDER_BY);
+    }, { optional: true })
+});
+
+app.http('getPopularLists', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'lists/popular',
+    handler: withAuth(async (request, context, auth) => {
+        return getPublicLists(request, context, POPULAR_LISTS_DEFAULT_ORDER_BY);
+    }, { optional: true })
+});
+
+/**
+ * Shared handler of both routes, only the default ordering differs
+ */
+async function getPublicLists(request, context, defaultOrderBy) {
+
+    context.log('Get public lists request received');
+
+    try {
+        // Step 1: Read and validate query parameters
+        const url = new URL(request.url);
+        const page = Math.max(parseInt(url.searchParams.get('page')) || 1, 1);
+        const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 100); // Max 100 per page
+        const search = url.searchParams.get('search');
+        const orderBy = url.searchParams.get('orderBy') || defaultOrderBy;
+        const orderDirection = url.searchParams.get('order') || (orderBy === 'list_name' ? 'asc' : 'desc');
+        const offset = (page - 1) * limit;
+
+        const validOrderDirection = ['asc', 'desc'];
+
+        if (!LIST_ORDER_BY.includes(orderBy)) {
+            return {
+                status: 400,
+                jsonBody: {
+                    success: false,
+                    error: `Invalid orderBy parameter. Valid options: ${LIST_ORDER_BY.join(', ')}`
+                }
+            };
+        }
+
+        if (!validOrderDirection.includes(orderDirection)) {
+            return {
+                status: 400,
+                jsonBody: {
+                    success: false,
+                    error: `Invalid order parameter. Valid options: ${validOrderDirection.join(', ')}`
+                }
+            };
+        }
+
+        context.log(`Public lists - page: ${page}, limit: ${limit}, search: ${search}, orderBy: ${orderBy} ${orderDirection}`);
+
+        // Step 2: Build filters, every search word must appear in the list name
+        const whereConditions = ['l.is_public = 1'];
+        const queryParams = {};
+        const searchTerms = tokenizeSearch(search);
+
+        searchTerms.forEach((term, index) => {
+            whereConditions.push(`l.list_name COLLATE ${SEARCH_COLLATION} LIKE @search_${index}`);
+            queryParams[`search_${index}`] = { type: sql.NVarChar(100), value: `%${term}%` };
+        });
+
+        const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+        // List has no creation date: 'recent' follows list_id, which grows with every new list
+        // Ties are broken newest first
+        const direction = orderDirection.toUpperCase();
+        let orderByClause;
+        switch (orderBy) {
+            case 'recent':
+                orderByClause = `l.list_id ${direction}`;
+                break;
+            case 'spot_count':
+                orderByClause = `spots.spot_count ${direction}, posts.post_count DESC, l.list_id DESC`;
+                break;
+            case 'post_count':
+                orderByClause = `posts.post_count ${direction}, spots.spot_count DESC, l.list_id DESC`;
+                break;
+            case 'list_name':
+                orderByClause = `l.list_name ${direction}, l.list_id DESC`;
+                break;
+        }
+
+        // Step 3: One page of lists with their counts and cover image
+        const pool = await getPool();
+
+        const listsRequest = new sql.Request(pool);
+        const countRequest = new sql.Request(pool);
+        Object.entries(queryParams).forEach(([key, param]) => {
+            listsRequest.input(key, param.type, param.value);
+            countRequest.input(key, param.type, param.value);
+        });
+
+        const listsResult = await listsRequest
+            .input('offset', sql.Int, offset)
+            .input('limit', sql.Int, limit)
+            .query(`
+                SELECT
+                    l.list_id,
+                    l.list_name,
+                    l.owner_user_id,
+                    u.username AS owner_username,
+                    u.display_name AS owner_display_name,
+                    spots.spot_count,
+                    spots.last_spot_added,
+                    posts.post_count,
+                    cover.image_id AS cover_image_id,
+                    cover.blob_url AS cover_image_url,
+                    cover.thumbnail_url AS cover_thumbnail_url,
+                    cover.cover_source
+                FROM List l
+                LEFT JOIN Users u ON l.owner_user_id = u.user_id
+                CROSS APPLY (
+                    SELECT COUNT(*) AS spot_count, MAX(lhs.created_date) AS last_spot_added
+                    FROM List_has_Spot lhs
+                    WHERE lhs.list_id = l.list_id
+                ) spots
+                CROSS APPLY (
+                    SELECT COUNT(*) AS post_count
+                    FROM (
+                        SELECT cp.post_id FROM Community_Post cp WHERE cp.list_id = l.list_id
+                        UNION ALL
+                        SELECT lp.post_id FROM List_Post lp WHERE lp.list_id = l.list_id
+                    ) shared
+                    INNER JOIN Post p ON shared.post_id = p.post_id
+                    WHERE p.deleted_at IS NULL
+                ) posts
+                OUTER APPLY (
+                    -- A thumbnail chosen for the list wins, otherwise the image of the first spot of the list
+                    SELECT TOP 1
+                        i.image_id, i.blob_url, i.thumbnail_url,
+                        CASE WHEN lhs.list_thumbnail_id IS NOT NULL THEN 'list_thumbnail' ELSE 'spot_image' END AS cover_source
+                    FROM List_has_Spot lhs
+                    INNER JOIN Spot s ON lhs.spot_id = s.spot_id
+                    INNER JOIN Images i ON i.image_id = COALESCE(lhs.list_thumbnail_id, s.spot_image_id)
+                    WHERE lhs.list_id = l.list_id
+                    ORDER BY
+                        CASE WHEN lhs.list_thumbnail_id IS NOT NULL THEN 0 ELSE 1 END,
+                        lhs.position ASC
+                ) cover
+                ${whereClause}
+                ORDER BY ${orderByClause}
+                OFFSET @offset ROWS
+                FETCH NEXT @limit ROWS ONLY
+            `);
+
+        const countResult = await countRequest.query(`
+            SELECT COUNT(*) AS total
+            FROM List l
+            ${whereClause}
+        `);
+
+        const total = countResult.recordset[0].total;
+        const lists = listsResult.recordset.map(transformPublicList);
+
+        context.log(`Found ${lists.length} public lists (total: ${total})`);
+
+        // Step 4: Build response
+        const totalPages = Math.ceil(total / limit);
+
+        return {
+            status: 200,
+            jsonBody: {
+                success: true,
+                lists: lists,
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: total,
+                    total_pages: totalPages,
+                    has_next: page < totalPages,
+                    has_previous: page > 1
+                },
+                filters_applied: {
+                    search: search || null,
+                    search_terms: searchTerms
+                },
+                query_info: {
+                    ordered_by: orderBy,
+                    order_direction: orderDirection
+                }
+            }
+        };
+
+    } catch (error) {
+        context.log('ERROR getting public lists:', error.message);
+        context.log('Full error details:', error);
+
+        return {
+            status: 500,
+            jsonBody: {
+                success: false,
+                error: 'Internal server error',
+                message: 'Failed to retrieve public lists. Please try again.',
+                ...(process.env.NODE_ENV === 'development' && { details: error.message })
+            }
+        };
+    }
+}
+
+/**
+ * Helper function to shape a public list row for the response
+ */
+function transformPublicList(row) {
+    return {
+        list_id: row.list_id,
+        list_name: row.list_name,
+        owner: row.owner_user_id === null ? null : {
+            user_id: row.owner_user_id,
+            username: row.owner_username,
+            display_name: row.owner_display_name
+        },
+        spot_count: row.spot_count,
+        post_count: row.post_count,
+        last_spot_added: row.last_spot_added?.toISOString() || null,
+        cover_image: row.cover_image_id === null ? null : {
+            image_id: row.cover_image_id,
+            url: row.cover_image_url,
+            thumbnail_url: row.cover_thumbnail_url || null,
+            source: row.cover_source
+        }
+    };
+}
@@ -0,0 +1,150 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { SPOT_REVISION_FIELDS, getChangedSpotFields } = require('../shared/spots');
+
+/**
+ * HTTP Trigger Function for Listing Spot Revisions
+ * GET /api/spots/{spotId}/revisions
+ *
+ * Newest first. Each revision has the full spot state and the fields
+ * that changed compared to the revision before it.
+ */
+app.http('getSpotRevisions', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'spots/{spotId}/revisions',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Get spot revisions request received');
+
+        try {
+            // Get spot ID from URL parameter
+            const spotIdNum = parseInt(request.params.spotId);
+            if (isNaN(spotIdNum) || spotIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Spot ID must be a positive integer'
+                    }
+                };
+            }
+
+            const url = new URL(request.url);
+            const page = parseInt(url.searchParams.get('page')) || 1;
+            const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 100); // Max 100 per page
+            const offset = (page - 1) * limit;
+
+            // Connect to database
+            const pool = await getPool();
+
+            // Step 1: Check the spot exists and count its revisions
+            const spotResult = await new sql.Request(pool)
+                .input('spot_id', sql.Int, spotIdNum)
+                .query(`
+                    SELECT
+                        s.spot_id, s.spot_name,
+                        (SELECT COUNT(*) FROM Spot_Revision WHERE spot_id = s.spot_id) as total_revisions,
+                        (SELECT MAX(revision_number) FROM Spot_Revision WHERE spot_id = s.spot_id) as current_revision
+                    FROM Spot s
+                    WHERE s.spot_id = @spot_id
+                `);
+
+            if (spotResult.recordset.length === 0) {
+                return {
+                    status: 404,
+                    jsonBody: {
+                        success: false,
+                        error: `Spot with ID ${spotIdNum} not found`
+                    }
+                };
+            }
+
+            const spotInfo = spotResult.recordset[0];
+
+            // Step 2: One extra row (the revision before the oldest on this page) to diff against
+            context.log('Getting spot revisions...');
+            const revisionsResult = await new sql.Request(pool)
+                .input('spot_id', sql.Int, spotIdNum)
+                .input('offset', sql.Int, offset)
+                .input('fetch', sql.Int, limit + 1)
+                .query(`
+                    SELECT
+                        r.revision_number, r.change_type, r.reverted_from_revision,
+                        r.changed_by_user_id, r.created_date,
+                        ${SPOT_REVISION_FIELDS.map((field) => `r.${field}`).join(', ')},
+                        u.username, u.display_name
+                    FROM Spot_Revision r
+                    LEFT JOIN Users u ON r.changed_by_user_id = u.user_id
+                    WHERE r.spot_id = @spot_id
+                    ORDER BY r.revision_number DESC
+                    OFFSET @offset ROWS FETCH NEXT @fetch ROWS ONLY
+                `);
+
+            const rows = revisionsResult.recordset;
+            const revisions = rows.slice(0, limit).map((row, index) =>
+                transformRevisionData(row, rows[index + 1], spotInfo.current_revision)
+            );
+
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    spot_id: spotIdNum,
+                    spot_name: spotInfo.spot_name,
+                    current_revision: spotInfo.current_revision,
+                    revisions: revisions,
+                    pagination: {
+                        page: page,
+                        limit: limit,
+                        total: spotInfo.total_revisions,
+                        has_next: offset + revisions.length < spotInfo.total_revisions,
+                        has_previous: page > 1
+                    }
+                }
+            };
+
+        } catch (error) {
+            context.log('ERROR getting spot revisions:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to retrieve spot revisions. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    }, { optional: true })
+});
+
+/**
+ * Transform a Spot_Revision row, diffing it against the previous revision
+ */
+function transformRevisionData(row, previousRow, currentRevision) {
+    const spot = {};
+    SPOT_REVISION_FIELDS.forEach((field) => {
+        spot[field] = row[field];
+    });
+
+    return {
+        revision_number: row.revision_number,
+        change_type: row.change_type,
+        reverted_from_revision: row.reverted_from_revision,
+        is_current: row.revision_number === currentRevision,
+        created_date: row.created_date?.toISOString(),
+        changed_by: row.changed_by_user_id ? {
+            user_id: row.changed_by_user_id,
+            username: row.username,
+            display_name: row.display_name
+        } : null,
+        // The first revision has nothing to diff against
+        changed_fields: previousRow ? getChangedSpotFields(previousRow, spot) : [],
+        spot
+    };
+}
\ No newline at end of file
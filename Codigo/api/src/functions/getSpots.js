@@ -1,27 +1,36 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { EARTH_RADIUS_KM, getBoundingBox } = require('../shared/geo');
+const { RATING_PRIOR_WEIGHT, RATING_MEAN_SQL, weightedRatingSql } = require('../shared/spotRatings');
+const {
+    TRENDING_WINDOWS_DAYS,
+    TRENDING_DEFAULT_WINDOW_DAYS,
+    refreshTrendingScores,
+    getTrendingRefreshedAt,
+    isTrendingCacheStale
+} = require('../shared/trending');
+const { categoryFilterSql } = require('../shared/categories');
+const { tokenizeSearch, buildSpotSearch } = require('../shared/search');
+
+// Languages of the category labels (GET /api/spots/categories?lang=)
+const CATEGORY_LANGUAGES = ['pt-BR', 'en'];
+
+// Radius limits for GET /api/spots/nearby (km)
+const NEARBY_DEFAULT_RADIUS_KM = 10;
+const NEARBY_MAX_RADIUS_KM = 500;
 
 /**
  * HTTP Trigger Function for Getting Spots
- * Supports: GET /api/spots, GET /api/spots/{id}
+ * Supports: GET /api/spots, GET /api/spots/{id}, GET /api/spots/nearby,
+ *           GET /api/spots/top-rated, GET /api/spots/trending, GET /api/spots/categories
  */
 app.http('getSpots', {
     methods: ['GET'],
     authLevel: 'anonymous',
     route: 'spots/{id?}', // {id?} makes the id parameter optional
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Get spots request received');
 
@@ -37,8 +46,12 @@ app.http('getSpots', {
             const country = url.searchParams.get('country');
             const city = url.searchParams.get('city');
             const search = url.searchParams.get('search');
-            const orderBy = url.searchParams.get('orderBy') || 'created_date';
-            const orderDirection = url.searchParams.get('order') || 'desc';
+            const minRatingParam = url.searchParams.get('min_rating');
+            const minRating = minRatingParam === null ? null : parseFloat(minRatingParam);
+            // A search is ordered by relevance unless another order is asked for
+            const searchTokens = tokenizeSearch(search);
+            let orderBy = url.searchParams.get('orderBy') || (searchTokens.length > 0 ? 'relevance' : 'created_date');
+            let orderDirection = url.searchParams.get('order') || 'desc';
             const includeImages = url.searchParams.get('includeImages') !== 'false';
             const includeStats = url.searchParams.get('includeStats') === 'true';
             
@@ -49,7 +62,10 @@ app.http('getSpots', {
             context.log(`Filters - category: ${category}, country: ${country}, city: ${city}, search: ${search}`);
 
             // Validate ordering parameters
-            const validOrderBy = ['created_date', 'spot_name', 'city', 'category', 'country'];
+            const validOrderBy = [
+                'created_date', 'spot_name', 'city', 'category', 'country',
+                'average_rating', 'review_count', 'times_added_to_lists', 'weighted_rating', 'relevance'
+            ];
             const validOrderDirection = ['asc', 'desc'];
             
             if (!validOrderBy.includes(orderBy)) {
@@ -72,8 +88,114 @@ app.http('getSpots', {
                 };
             }
 
+            if (orderBy === 'relevance' && searchTokens.length === 0) {
+                return {
+                    status: 400,
+                    jsonBody: { 
+                        success: false,
+                        error: 'orderBy=relevance requires a search with at least one word' 
+                    }
+                };
+            }
+
+            if (minRatingParam !== null && (isNaN(minRating) || minRating < 1 || minRating > 5)) {
+                return {
+                    status: 400,
+                    jsonBody: { 
+                        success: false,
+                        error: 'min_rating must be a number between 1 and 5' 
+                    }
+                };
+            }
+
+            // "nearby" is a mode, not a spot ID: spots/{id?} also matches /api/spots/nearby
+            if (spotId === 'nearby') {
+                const latitude = parseFloat(url.searchParams.get('lat'));
+                const longitude = parseFloat(url.searchParams.get('lng'));
+                const radiusParam = url.searchParams.get('radius');
+                const radiusKm = radiusParam === null ? NEARBY_DEFAULT_RADIUS_KM : parseFloat(radiusParam);
+
+                if (isNaN(latitude) || latitude < -90 || latitude > 90 ||
+                    isNaN(longitude) || longitude < -180 || longitude > 180) {
+                    return {
+                        status: 400,
+                        jsonBody: { 
+                            success: false,
+                            error: 'lat (-90 to 90) and lng (-180 to 180) are required for nearby search' 
+                        }
+                    };
+                }
+
+                if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > NEARBY_MAX_RADIUS_KM) {
+                    return {
+                        status: 400,
+                        jsonBody: { 
+                            success: false,
+                            error: `radius must be greater than 0 and at most ${NEARBY_MAX_RADIUS_KM} (km)` 
+                        }
+                    };
+                }
+
+                context.log('Connecting to database...');
+                const pool = await getPool();
+
+                return await getNearbySpots({
+                    latitude, longitude, radiusKm, page, limit, offset,
+                    category, country, city, search, minRating, includeImages, includeStats
+                }, pool, context);
+            }
+
+            // "categories" is the taxonomy with spot counts
+            if (spotId === 'categories') {
+                const lang = url.searchParams.get('lang') || 'pt-BR';
+                if (!CATEGORY_LANGUAGES.includes(lang)) {
+                    return {
+                        status: 400,
+                        jsonBody: { 
+                            success: false,
+                            error: `Invalid lang parameter. Valid options: ${CATEGORY_LANGUAGES.join(', ')}` 
+                        }
+                    };
+                }
+
+                context.log('Connecting to database...');
+                const pool = await getPool();
+
+                return await getSpotCategories(lang, pool, context);
+            }
+
+            // "trending" reads the scores cached by the refreshTrendingSpots timer
+            if (spotId === 'trending') {
+                const windowParam = url.searchParams.get('window');
+                const windowDays = windowParam === null ? TRENDING_DEFAULT_WINDOW_DAYS : parseInt(windowParam);
+
+                if (!TRENDING_WINDOWS_DAYS.includes(windowDays)) {
+                    return {
+                        status: 400,
+                        jsonBody: { 
+                            success: false,
+                            error: `Invalid window parameter. Valid options (days): ${TRENDING_WINDOWS_DAYS.join(', ')}` 
+                        }
+                    };
+                }
+
+                context.log('Connecting to database...');
+                const pool = await getPool();
+
+                return await getTrendingSpots({
+                    windowDays, page, limit, offset, category, country, city, includeImages, includeStats
+                }, pool, context);
+            }
+
+            // "top-rated" is the list ordered by weighted rating, spots without reviews left out
+            const topRated = spotId === 'top-rated';
+            if (topRated) {
+                orderBy = 'weighted_rating';
+                orderDirection = 'desc';
+            }
+
             // Validate spot ID if provided
-            if (spotId) {
+            if (spotId && !topRated) {
                 const spotIdNum = parseInt(spotId);
                 if (isNaN(spotIdNum) || spotIdNum <= 0) {
                     return {
@@ -88,23 +210,17 @@ app.http('getSpots', {
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
-
-            try {
-                if (spotId) {
-                    // Get specific spot by ID
-                    return await getSpotById(parseInt(spotId), includeImages, includeStats, pool, context);
-                } else {
-                    // Get multiple spots with filtering and pagination
-                    return await getSpotsList({
-                        page, limit, offset, category, country, city, search, 
-                        orderBy, orderDirection, includeImages, includeStats
-                    }, pool, context);
-                }
-
-            } finally {
-                // Always close the connection
-                await pool.close();
+            const pool = await getPool();
+
+            if (spotId && !topRated) {
+                // Get specific spot by ID
+                return await getSpotById(parseInt(spotId), includeImages, includeStats, pool, context);
+            } else {
+                // Get multiple spots with filtering and pagination
+                return await getSpotsList({
+                    page, limit, offset, category, country, city, search, minRating, topRated,
+                    orderBy, orderDirection, includeImages, includeStats
+                }, pool, context);
             }
 
         } catch (error) {
@@ -121,7 +237,7 @@ app.http('getSpots', {
                 }
             };
         }
-    }
+    }, { optional: true })
 });
 
 /**
@@ -144,9 +260,12 @@ async function getSpotById(spotId, includeImages, includeStats, pool, context) {
     const query = `
         SELECT 
             s.spot_id, s.spot_name, s.country, s.city, s.category, 
-            s.description, s.created_date, s.spot_image_id
+            s.description, s.created_date, s.spot_image_id,
+            s.latitude, s.longitude,
+            st.average_rating, st.review_count
             ${imageFields}
         FROM Spot s
+        LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
         ${imageJoin}
         WHERE s.spot_id = @spot_id
     `;
@@ -169,7 +288,7 @@ async function getSpotById(spotId, includeImages, includeStats, pool, context) {
 
     // Add statistics if requested
     if (includeStats) {
-        spotData.statistics = await getSpotStatistics(spotId, pool);
+        spotData.statistics = await getSpotStatistics(spotId, pool, context);
     }
 
     return {
@@ -185,38 +304,15 @@ async function getSpotById(spotId, includeImages, includeStats, pool, context) {
  * Get list of spots with filtering and pagination
  */
 async function getSpotsList(params, pool, context) {
-    const { page, limit, offset, category, country, city, search, 
+    const { page, limit, offset, category, country, city, search, minRating, topRated,
             orderBy, orderDirection, includeImages, includeStats } = params;
     
     context.log('Getting spots list with filters...');
     
     // Build WHERE clause based on filters
-    let whereConditions = [];
-    let queryParams = {};
-    
-    if (category) {
-        whereConditions.push('s.category = @category');
-        queryParams.category = { type: sql.NVarChar(30), value: category };
-    }
-    
-    if (country) {
-        whereConditions.push('s.country = @country');
-        queryParams.country = { type: sql.NVarChar(30), value: country };
-    }
-    
-    if (city) {
-        whereConditions.push('s.city = @city');
-        queryParams.city = { type: sql.NVarChar(35), value: city };
-    }
-    
-    if (search) {
-        whereConditions.push(`(
-            s.spot_name LIKE @search 
-            OR s.description LIKE @search 
-            OR s.city LIKE @search
-            OR s.category LIKE @search
-        )`);
-        queryParams.search = { type: sql.NVarChar(500), value: `%${search}%` };
+    const { whereConditions, queryParams, relevanceSql } = buildSpotFilters({ category, country, city, search, minRating });
+    if (topRated) {
+        whereConditions.push('st.review_count > 0');
     }
     
     const whereClause = whereConditions.length > 0 
@@ -224,8 +320,47 @@ async function getSpotsList(params, pool, context) {
         : '';
 
     // Build ORDER BY clause
+    // Rating sorts read the Spot_Rating_Stats aggregates; ties go to the spot with more reviews
+    const direction = orderDirection.toUpperCase();
     let orderByClause;
+    let rankingJoin = '';
+    let rankingFields = '';
+
+    // Searches always return their relevance score
+    if (relevanceSql) {
+        rankingJoin = `CROSS APPLY (SELECT ${relevanceSql} AS relevance) r`;
+        rankingFields = ', r.relevance';
+    }
+
     switch (orderBy) {
+        case 'relevance':
+            orderByClause = `r.relevance ${direction}, s.spot_name ASC, s.spot_id ASC`;
+            break;
+        case 'average_rating':
+            // Spots without reviews go last in both directions
+            orderByClause = `CASE WHEN st.average_rating IS NULL THEN 1 ELSE 0 END, st.average_rating ${direction}, st.review_count DESC, s.spot_id ASC`;
+            break;
+        case 'review_count':
+            orderByClause = `COALESCE(st.review_count, 0) ${direction}, st.average_rating DESC, s.spot_id ASC`;
+            break;
+        case 'times_added_to_lists':
+            rankingJoin += `
+        OUTER APPLY (
+                SELECT COUNT(DISTINCT ls.list_id) AS times_added_to_lists
+                FROM List_has_Spot ls
+                WHERE ls.spot_id = s.spot_id
+            ) lc`;
+            rankingFields += ', lc.times_added_to_lists';
+            orderByClause = `lc.times_added_to_lists ${direction}, s.spot_id ASC`;
+            break;
+        case 'weighted_rating':
+            rankingJoin += `
+        CROSS JOIN ${RATING_MEAN_SQL} g
+        CROSS APPLY (SELECT ${weightedRatingSql('st', 'g.mean_rating')} AS weighted_rating) w`;
+            rankingFields += ', w.weighted_rating';
+            orderByClause = `w.weighted_rating ${direction}, st.review_count DESC, s.spot_id ASC`;
+            queryParams.prior_weight = { type: sql.Int, value: RATING_PRIOR_WEIGHT };
+            break;
         case 'spot_name':
             orderByClause = `s.spot_name ${orderDirection.toUpperCase()}`;
             break;
@@ -252,9 +387,14 @@ async function getSpotsList(params, pool, context) {
     const spotsQuery = `
         SELECT 
             s.spot_id, s.spot_name, s.country, s.city, s.category, 
-            s.description, s.created_date, s.spot_image_id
+            s.description, s.created_date, s.spot_image_id,
+            s.latitude, s.longitude,
+            st.average_rating, st.review_count
+            ${rankingFields}
             ${imageFields}
         FROM Spot s
+        LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
+        ${rankingJoin}
         ${imageJoin}
         ${whereClause}
         ORDER BY ${orderByClause}
@@ -265,6 +405,7 @@ async function getSpotsList(params, pool, context) {
     const countQuery = `
         SELECT COUNT(*) as total
         FROM Spot s
+        LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
         ${whereClause}
     `;
 
@@ -295,7 +436,7 @@ async function getSpotsList(params, pool, context) {
     // Add statistics to each spot if requested (expensive operation)
     if (includeStats && spots.length > 0) {
         const spotIds = spots.map(s => s.spot_id);
-        const statsMap = await getBulkSpotStatistics(spotIds, pool);
+        const statsMap = await getBulkSpotStatistics(spotIds, pool, context);
         spots.forEach(spot => {
             spot.statistics = statsMap[spot.spot_id] || getDefaultStatistics();
         });
@@ -323,9 +464,12 @@ async function getSpotsList(params, pool, context) {
                 category: category || null,
                 country: country || null,
                 city: city || null,
-                search: search || null
+                search: search || null,
+                search_terms: tokenizeSearch(search),
+                min_rating: minRating
             },
             query_info: {
+                ...(topRated && { mode: 'top_rated' }),
                 ordered_by: orderBy,
                 order_direction: orderDirection,
                 includes_images: includeImages,
@@ -335,6 +479,350 @@ async function getSpotsList(params, pool, context) {
     };
 }
 
+/**
+ * Get spots within radiusKm of a point, nearest first
+ * Spots without coordinates are never returned
+ */
+async function getNearbySpots(params, pool, context) {
+    const { latitude, longitude, radiusKm, page, limit, offset,
+            category, country, city, search, minRating, includeImages, includeStats } = params;
+
+    context.log(`Getting spots within ${radiusKm}km of ${latitude}, ${longitude}...`);
+
+    const { whereConditions, queryParams } = buildSpotFilters({ category, country, city, search, minRating });
+
+    // The bounding box uses IX_Spot_Coordinates, the exact distance is only computed inside it
+    const box = getBoundingBox(latitude, longitude, radiusKm);
+    whereConditions.push('s.latitude IS NOT NULL');
+    whereConditions.push('s.latitude BETWEEN @min_lat AND @max_lat');
+    whereConditions.push(box.wrapsLongitude
+        ? '(s.longitude >= @min_lng OR s.longitude <= @max_lng)'
+        : 's.longitude BETWEEN @min_lng AND @max_lng');
+    queryParams.min_lat = { type: sql.Float, value: box.minLat };
+    queryParams.max_lat = { type: sql.Float, value: box.maxLat };
+    queryParams.min_lng = { type: sql.Float, value: box.minLng };
+    queryParams.max_lng = { type: sql.Float, value: box.maxLng };
+    queryParams.lat = { type: sql.Float, value: latitude };
+    queryParams.lng = { type: sql.Float, value: longitude };
+    queryParams.radius_km = { type: sql.Float, value: radiusKm };
+
+    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+    const imageJoin = includeImages ? 'LEFT JOIN Images img ON s.spot_image_id = img.image_id' : '';
+    const imageFields = includeImages ? ', img.blob_url as spot_image_url, img.image_name as spot_image_name' : '';
+
+    // Great-circle distance (haversine), clamped so rounding can't push ASIN out of range
+    const distanceApply = `
+        CROSS APPLY (
+            SELECT ${EARTH_RADIUS_KM} * 2 * ASIN(
+                CASE WHEN h.value > 1 THEN 1 ELSE SQRT(h.value) END
+            ) AS distance_km
+            FROM (SELECT
+                POWER(SIN(RADIANS(CAST(s.latitude AS FLOAT) - @lat) / 2), 2)
+                + COS(RADIANS(@lat)) * COS(RADIANS(CAST(s.latitude AS FLOAT)))
+                * POWER(SIN(RADIANS(CAST(s.longitude AS FLOAT) - @lng) / 2), 2) AS value
+            ) h
+        ) d
+    `;
+
+    const spotsQuery = `
+        SELECT 
+            s.spot_id, s.spot_name, s.country, s.city, s.category, 
+            s.description, s.created_date, s.spot_image_id,
+            s.latitude, s.longitude, d.distance_km,
+            st.average_rating, st.review_count
+            ${imageFields}
+        FROM Spot s
+        LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
+        ${imageJoin}
+        ${distanceApply}
+        ${whereClause}
+        AND d.distance_km <= @radius_km
+        ORDER BY d.distance_km ASC, s.spot_id ASC
+        OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+    `;
+
+    const countQuery = `
+        SELECT COUNT(*) as total
+        FROM Spot s
+        LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
+        ${distanceApply}
+        ${whereClause}
+        AND d.distance_km <= @radius_km
+    `;
+
+    const spotsRequest = new sql.Request(pool);
+    Object.entries(queryParams).forEach(([key, param]) => {
+        spotsRequest.input(key, param.type, param.value);
+    });
+    spotsRequest.input('offset', sql.Int, offset);
+    spotsRequest.input('limit', sql.Int, limit);
+
+    const spotsResult = await spotsRequest.query(spotsQuery);
+
+    const countRequest = new sql.Request(pool);
+    Object.entries(queryParams).forEach(([key, param]) => {
+        countRequest.input(key, param.type, param.value);
+    });
+
+    const countResult = await countRequest.query(countQuery);
+    const total = countResult.recordset[0].total;
+
+    const spots = spotsResult.recordset.map(row => transformSpotData(row, includeImages));
+
+    if (includeStats && spots.length > 0) {
+        const spotIds = spots.map(s => s.spot_id);
+        const statsMap = await getBulkSpotStatistics(spotIds, pool, context);
+        spots.forEach(spot => {
+            spot.statistics = statsMap[spot.spot_id] || getDefaultStatistics();
+        });
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        status: 200,
+        jsonBody: {
+            success: true,
+            spots: spots,
+            pagination: {
+                page: page,
+                limit: limit,
+                total: total,
+                total_pages: totalPages,
+                has_next: page < totalPages,
+                has_previous: page > 1
+            },
+            filters_applied: {
+                category: category || null,
+                country: country || null,
+                city: city || null,
+                search: search || null,
+                search_terms: tokenizeSearch(search),
+                min_rating: minRating
+            },
+            query_info: {
+                mode: 'nearby',
+                center: { latitude, longitude },
+                radius_km: radiusKm,
+                ordered_by: 'distance',
+                order_direction: 'asc',
+                includes_images: includeImages,
+                includes_stats: includeStats
+            }
+        }
+    };
+}
+
+/**
+ * Get the category taxonomy, each category with its number of spots
+ * Parents come first, each followed by its subcategories.
+ * total_spot_count of a parent includes the spots of its subcategories.
+ */
+async function getSpotCategories(lang, pool, context) {
+    context.log('Getting spot categories...');
+
+    const result = await new sql.Request(pool).query(`
+        SELECT
+            c.category_name, c.label_en, c.parent_category,
+            COUNT(s.spot_id) as spot_count
+        FROM Spot_Category c
+        LEFT JOIN Spot s ON s.category = c.category_name
+        GROUP BY c.category_name, c.label_en, c.parent_category
+    `);
+
+    const rows = result.recordset;
+    const byName = (a, b) => a.category_name.localeCompare(b.category_name, 'pt-BR');
+    const toCategory = (row, subcategories) => ({
+        name: row.category_name,
+        label: lang === 'en' ? row.label_en : row.category_name,
+        labels: { 'pt-BR': row.category_name, en: row.label_en },
+        parent: row.parent_category,
+        subcategories: subcategories.map((child) => child.category_name),
+        spot_count: row.spot_count,
+        total_spot_count: row.spot_count + subcategories.reduce((sum, child) => sum + child.spot_count, 0)
+    });
+
+    const categories = [];
+    rows.filter((row) => !row.parent_category).sort(byName).forEach((parent) => {
+        const children = rows.filter((row) => row.parent_category === parent.category_name).sort(byName);
+        categories.push(toCategory(parent, children));
+        children.forEach((child) => categories.push(toCategory(child, [])));
+    });
+
+    return {
+        status: 200,
+        jsonBody: {
+            success: true,
+            categories: categories,
+            total_categories: categories.length,
+            language: lang
+        }
+    };
+}
+
+/**
+ * Get the trending spots of a window, highest score first
+ * The scores come from Spot_Trending_Score. A stale cache is still served (the timer
+ * rebuilds it), only a window that was never computed is computed by the request.
+ */
+async function getTrendingSpots(params, pool, context) {
+    const { windowDays, page, limit, offset, category, country, city, includeImages, includeStats } = params;
+
+    let refreshedAt = await getTrendingRefreshedAt(pool, windowDays);
+    if (!refreshedAt) {
+        context.log(`Trending cache for ${windowDays}d was never computed, computing...`);
+        refreshedAt = (await refreshTrendingScores(pool, windowDays)).refreshed_at;
+    } else if (isTrendingCacheStale(refreshedAt)) {
+        context.log(`Warning: trending cache for ${windowDays}d is stale (computed at ${refreshedAt.toISOString()}), is the refreshTrendingSpots timer running?`);
+    }
+
+    context.log(`Getting trending spots for the last ${windowDays} days...`);
+
+    const { whereConditions, queryParams } = buildSpotFilters({ category, country, city });
+    whereConditions.unshift('t.window_days = @window_days');
+    queryParams.window_days = { type: sql.Int, value: windowDays };
+
+    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+    const imageJoin = includeImages ? 'LEFT JOIN Images img ON s.spot_image_id = img.image_id' : '';
+    const imageFields = includeImages ? ', img.blob_url as spot_image_url, img.image_name as spot_image_name' : '';
+
+    const spotsQuery = `
+        SELECT 
+            s.spot_id, s.spot_name, s.country, s.city, s.category, 
+            s.description, s.created_date, s.spot_image_id,
+            s.latitude, s.longitude,
+            st.average_rating, st.review_count,
+            t.score as trending_score, t.review_count as trending_reviews,
+            t.list_add_count as trending_list_adds, t.average_rating as trending_average_rating
+            ${imageFields}
+        FROM Spot_Trending_Score t
+        INNER JOIN Spot s ON t.spot_id = s.spot_id
+        LEFT JOIN Spot_Rating_Stats st ON s.spot_id = st.spot_id
+        ${imageJoin}
+        ${whereClause}
+        ORDER BY t.score DESC, s.spot_id ASC
+        OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+    `;
+
+    const countQuery = `
+        SELECT COUNT(*) as total
+        FROM Spot_Trending_Score t
+        INNER JOIN Spot s ON t.spot_id = s.spot_id
+        ${whereClause}
+    `;
+
+    const spotsRequest = new sql.Request(pool);
+    Object.entries(queryParams).forEach(([key, param]) => {
+        spotsRequest.input(key, param.type, param.value);
+    });
+    spotsRequest.input('offset', sql.Int, offset);
+    spotsRequest.input('limit', sql.Int, limit);
+
+    const spotsResult = await spotsRequest.query(spotsQuery);
+
+    const countRequest = new sql.Request(pool);
+    Object.entries(queryParams).forEach(([key, param]) => {
+        countRequest.input(key, param.type, param.value);
+    });
+
+    const countResult = await countRequest.query(countQuery);
+    const total = countResult.recordset[0].total;
+
+    const spots = spotsResult.recordset.map(row => ({
+        ...transformSpotData(row, includeImages),
+        trending: {
+            score: Math.round(row.trending_score * 100) / 100,
+            recent_reviews: row.trending_reviews,
+            recent_list_adds: row.trending_list_adds,
+            recent_average_rating: row.trending_average_rating
+        }
+    }));
+
+    if (includeStats && spots.length > 0) {
+        const spotIds = spots.map(s => s.spot_id);
+        const statsMap = await getBulkSpotStatistics(spotIds, pool, context);
+        spots.forEach(spot => {
+            spot.statistics = statsMap[spot.spot_id] || getDefaultStatistics();
+        });
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        status: 200,
+        jsonBody: {
+            success: true,
+            spots: spots,
+            pagination: {
+                page: page,
+                limit: limit,
+                total: total,
+                total_pages: totalPages,
+                has_next: page < totalPages,
+                has_previous: page > 1
+            },
+            filters_applied: {
+                category: category || null,
+                country: country || null,
+                city: city || null
+            },
+            query_info: {
+                mode: 'trending',
+                window_days: windowDays,
+                computed_at: refreshedAt.toISOString(),
+                is_stale: isTrendingCacheStale(refreshedAt),
+                ordered_by: 'trending_score',
+                order_direction: 'desc',
+                includes_images: includeImages,
+                includes_stats: includeStats
+            }
+        }
+    };
+}
+
+/**
+ * Build WHERE conditions for the spot filters shared by the list and nearby modes
+ * category matches like createSpot ("beach" finds "Praia") and includes subcategories
+ * search ignores case and accents, every word must match (see src/shared/search.js);
+ * relevanceSql scores the match and is null without a search
+ * min_rating needs Spot_Rating_Stats joined as st
+ */
+function buildSpotFilters({ category, country, city, search, minRating }) {
+    const whereConditions = [];
+    const queryParams = {};
+
+    if (category) {
+        whereConditions.push(categoryFilterSql('s', 'category'));
+        queryParams.category = { type: sql.NVarChar(30), value: category };
+    }
+    
+    if (country) {
+        whereConditions.push('s.country = @country');
+        queryParams.country = { type: sql.NVarChar(30), value: country };
+    }
+    
+    if (city) {
+        whereConditions.push('s.city = @city');
+        queryParams.city = { type: sql.NVarChar(35), value: city };
+    }
+    
+    const spotSearch = buildSpotSearch(search);
+    if (spotSearch) {
+        whereConditions.push(`(${spotSearch.condition})`);
+        Object.assign(queryParams, spotSearch.queryParams);
+    }
+
+    // Spots without reviews have no average, so they never pass
+    if (minRating !== null && minRating !== undefined) {
+        whereConditions.push('st.average_rating >= @min_rating');
+        queryParams.min_rating = { type: sql.Decimal(3, 2), value: minRating };
+    }
+
+    return { whereConditions, queryParams, relevanceSql: spotSearch ? spotSearch.relevanceSql : null };
+}
+
 /**
  * Transform raw database row into spot object
  */
@@ -348,9 +836,29 @@ function transformSpotData(row, includeImages) {
         description: row.description,
         location: `${row.city}, ${row.country}`,
         created_date: row.created_date?.toISOString(),
-        spot_image_id: row.spot_image_id
+        spot_image_id: row.spot_image_id,
+        latitude: row.latitude ?? null,
+        longitude: row.longitude ?? null,
+        average_rating: row.average_rating ?? null,
+        review_count: row.review_count ?? 0
     };
 
+    // Only present when searching or ordering by them
+    if (row.relevance !== undefined) {
+        spotData.relevance = row.relevance;
+    }
+    if (row.weighted_rating !== undefined) {
+        spotData.weighted_rating = Math.round(row.weighted_rating * 100) / 100;
+    }
+    if (row.times_added_to_lists !== undefined) {
+        spotData.times_added_to_lists = row.times_added_to_lists;
+    }
+
+    // Only present in nearby mode
+    if (row.distance_km !== undefined) {
+        spotData.distance_km = Math.round(row.distance_km * 100) / 100;
+    }
+
     if (includeImages) {
         spotData.spot_image_url = row.spot_image_url || null;
         spotData.spot_image_name = row.spot_image_name || null;
@@ -361,69 +869,85 @@ function transformSpotData(row, includeImages) {
 
 /**
  * Get statistics for a single spot
+ * Same numbers as the list endpoint: both go through getBulkSpotStatistics
  */
-async function getSpotStatistics(spotId, pool) {
-    try {
-        const request = new sql.Request(pool);
-        const result = await request
-            .input('spot_id', sql.Int, spotId)
-            .query(`
-                SELECT 
-                    -- Review statistics
-                    COUNT(rp.post_id) as total_reviews,
-                    COALESCE(AVG(CAST(rp.rating as FLOAT)), 0) as average_rating,
-                    -- List statistics
-                    (SELECT COUNT(*) FROM List_has_Spot WHERE spot_id = @spot_id) as times_added_to_lists,
-                    -- Recent activity
-                    (SELECT COUNT(*) FROM Review_Post rp2 
-                     INNER JOIN Post p2 ON rp2.post_id = p2.post_id 
-                     WHERE rp2.spot_id = @spot_id AND p2.created_date >= DATEADD(day, -30, GETDATE())
-                    ) as reviews_last_30_days
-                FROM Review_Post rp
-                INNER JOIN Post p ON rp.post_id = p.post_id
-                WHERE rp.spot_id = @spot_id
-            `);
-        
-        return result.recordset[0] || getDefaultStatistics();
-    } catch (error) {
-        return getDefaultStatistics();
-    }
+async function getSpotStatistics(spotId, pool, context) {
+    const statsMap = await getBulkSpotStatistics([spotId], pool, context);
+    return statsMap[spotId] || getDefaultStatistics();
 }
 
 /**
- * Get statistics for multiple spots efficiently
+ * Get statistics for multiple spots in one set-based query
+ * The spot IDs are sent as one JSON parameter (OPENJSON), never concatenated into the SQL
+ * Count, average and distribution come from the Spot_Rating_Stats aggregates
+ * A failure is rethrown: empty stats would look like spots nobody reviewed
  */
-async function getBulkSpotStatistics(spotIds, pool) {
+async function getBulkSpotStatistics(spotIds, pool, context) {
     if (spotIds.length === 0) return {};
     
     try {
         const request = new sql.Request(pool);
-        const spotIdsStr = spotIds.join(',');
-        
-        const result = await request.query(`
-            SELECT 
-                rp.spot_id,
-                COUNT(rp.post_id) as total_reviews,
-                COALESCE(AVG(CAST(rp.rating as FLOAT)), 0) as average_rating
-            FROM Review_Post rp
-            INNER JOIN Post p ON rp.post_id = p.post_id
-            WHERE rp.spot_id IN (${spotIdsStr})
-            GROUP BY rp.spot_id
-        `);
+        const result = await request
+            .input('spot_ids', sql.NVarChar(sql.MAX), JSON.stringify(spotIds))
+            .query(`
+                WITH ids AS (
+                    SELECT DISTINCT CAST(value AS INT) as spot_id
+                    FROM OPENJSON(@spot_ids)
+                ),
+                recent AS (
+                    SELECT rp.spot_id, COUNT(*) as reviews_last_30_days
+                    FROM Review_Post rp
+                    INNER JOIN ids ON rp.spot_id = ids.spot_id
+                    INNER JOIN Post p ON rp.post_id = p.post_id
+                    WHERE p.deleted_at IS NULL -- Soft deleted reviews don't count
+                    AND p.created_at >= DATEADD(day, -30, SYSDATETIME())
+                    GROUP BY rp.spot_id
+                ),
+                lists AS (
+                    SELECT ls.spot_id, COUNT(DISTINCT ls.list_id) as times_added_to_lists
+                    FROM List_has_Spot ls
+                    INNER JOIN ids ON ls.spot_id = ids.spot_id
+                    GROUP BY ls.spot_id
+                )
+                SELECT 
+                    ids.spot_id,
+                    COALESCE(st.review_count, 0) as total_reviews,
+                    COALESCE(st.average_rating, 0) as average_rating,
+                    COALESCE(l.times_added_to_lists, 0) as times_added_to_lists,
+                    COALESCE(r.reviews_last_30_days, 0) as reviews_last_30_days,
+                    COALESCE(st.rating_1, 0) as rating_1,
+                    COALESCE(st.rating_2, 0) as rating_2,
+                    COALESCE(st.rating_3, 0) as rating_3,
+                    COALESCE(st.rating_4, 0) as rating_4,
+                    COALESCE(st.rating_5, 0) as rating_5
+                FROM ids
+                LEFT JOIN Spot_Rating_Stats st ON ids.spot_id = st.spot_id
+                LEFT JOIN recent r ON ids.spot_id = r.spot_id
+                LEFT JOIN lists l ON ids.spot_id = l.spot_id
+            `);
         
         const statsMap = {};
         result.recordset.forEach(row => {
             statsMap[row.spot_id] = {
                 total_reviews: row.total_reviews,
                 average_rating: parseFloat(row.average_rating.toFixed(1)),
-                times_added_to_lists: 0, // Would need separate query
-                reviews_last_30_days: 0  // Would need separate query
+                times_added_to_lists: row.times_added_to_lists,
+                reviews_last_30_days: row.reviews_last_30_days,
+                // Number of reviews per star
+                rating_distribution: {
+                    1: row.rating_1,
+                    2: row.rating_2,
+                    3: row.rating_3,
+                    4: row.rating_4,
+                    5: row.rating_5
+                }
             };
         });
         
         return statsMap;
     } catch (error) {
-        return {};
+        context.log('ERROR getting spot statistics:', error.message);
+        throw error;
     }
 }
 
@@ -435,6 +959,7 @@ function getDefaultStatistics() {
         total_reviews: 0,
         average_rating: 0,
         times_added_to_lists: 0,
-        reviews_last_30_days: 0
+        reviews_last_30_days: 0,
+        rating_distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
     };
 }
\ No newline at end of file
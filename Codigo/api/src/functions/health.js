@@ -0,0 +1,38 @@
+const { app } = require('@azure/functions');
+const { checkHealth } = require('../shared/db');
+
+/**
+ * HTTP Trigger Function for Health Checks
+ * GET /api/health
+ *
+ * Checks the shared database pool with a trivial query.
+ * A failed check doesn't touch the pool, requests in flight keep running on it.
+ */
+app.http('health', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'health',
+    handler: async (request, context) => {
+
+        const database = await checkHealth(context);
+
+        if (!database.healthy) {
+            context.log('Health check failed:', database.error);
+        }
+
+        return {
+            status: database.healthy ? 200 : 503,
+            jsonBody: {
+                success: database.healthy,
+                status: database.healthy ? 'healthy' : 'unhealthy',
+                checked_at: new Date().toISOString(),
+                database: {
+                    healthy: database.healthy,
+                    latency_ms: database.latency_ms,
+                    ...(database.pool && { pool: database.pool }),
+                    ...(process.env.NODE_ENV === 'development' && database.error && { details: database.error })
+                }
+            }
+        };
+    }
+});
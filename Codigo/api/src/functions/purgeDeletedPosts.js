@@ -0,0 +1,61 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+
+// Rows removed per DELETE, so a large backlog doesn't hold long locks
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Timer Trigger Function for Purging Soft Deleted Posts
+ * Runs daily at 03:30 UTC and hard deletes tombstones older than
+ * POST_TOMBSTONE_RETENTION_DAYS (default: 30)
+ */
+app.timer('purgeDeletedPosts', {
+    schedule: '0 30 3 * * *',
+    handler: async (myTimer, context) => {
+
+        const retentionDays = getTombstoneRetentionDays();
+        context.log(`Purging posts soft deleted more than ${retentionDays} days ago`);
+
+        try {
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            let totalPurged = 0;
+            let purgedInBatch;
+
+            // Review_Post, Community_Post, List_Post and Post_Images rows
+            // go away through their ON DELETE CASCADE foreign keys
+            do {
+                const purgeRequest = new sql.Request(pool);
+                const purgeResult = await purgeRequest
+                    .input('retention_days', sql.Int, retentionDays)
+                    .input('batch_size', sql.Int, PURGE_BATCH_SIZE)
+                    .query(`
+                        DELETE TOP (@batch_size) FROM Post
+                        WHERE deleted_at IS NOT NULL
+                        AND deleted_at < DATEADD(day, -@retention_days, GETDATE())
+                    `);
+
+                purgedInBatch = purgeResult.rowsAffected[0];
+                totalPurged += purgedInBatch;
+            } while (purgedInBatch === PURGE_BATCH_SIZE);
+
+            context.log(`Purged ${totalPurged} soft deleted posts`);
+
+        } catch (error) {
+            context.log('ERROR purging deleted posts:', error.message);
+            context.log('Full error details:', error);
+            throw error; // Let the runtime record the failed execution
+        }
+    }
+});
+
+/**
+ * Days a soft deleted post is kept before it is purged
+ */
+function getTombstoneRetentionDays() {
+    const days = parseInt(process.env.POST_TOMBSTONE_RETENTION_DAYS);
+    return isNaN(days) || days < 0 ? 30 : days;
+}
@@ -0,0 +1,32 @@
+const { app } = require('@azure/functions');
+const { getPool } = require('../shared/db');
+const { TRENDING_WINDOWS_DAYS, refreshTrendingScores } = require('../shared/trending');
+
+/**
+ * Timer Trigger Function for Refreshing Trending Spots
+ * Runs every 15 minutes and recomputes the cached scores read by
+ * GET /api/spots/trending, one window at a time
+ */
+app.timer('refreshTrendingSpots', {
+    schedule: '0 */15 * * * *',
+    handler: async (myTimer, context) => {
+
+        context.log(`Refreshing trending spots for windows: ${TRENDING_WINDOWS_DAYS.join(', ')} days`);
+
+        try {
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            for (const windowDays of TRENDING_WINDOWS_DAYS) {
+                const result = await refreshTrendingScores(pool, windowDays);
+                context.log(`Window ${windowDays}d: ${result.spots_scored} spots scored`);
+            }
+
+        } catch (error) {
+            context.log('ERROR refreshing trending spots:', error.message);
+            context.log('Full error details:', error);
+            throw error; // Let the runtime record the failed execution
+        }
+    }
+});
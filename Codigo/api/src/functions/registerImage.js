@@ -0,0 +1,315 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const {
+    ALLOWED_IMAGE_TYPES,
+    getBlobFromUrl,
+    isBlobOwnedBy,
+    isAllowedImageType,
+    getMaxImageBytes
+} = require('../shared/blobStorage');
+
+// SQL Server error for a row breaking a unique index
+const SQL_DUPLICATE_KEY_ERROR = 2601;
+
+/**
+ * HTTP Trigger Function for Registering Uploaded Images
+ * POST /api/images/register
+ *
+ * Called after the app uploaded to the URL from POST /api/images/upload-url.
+ * Checks the blob really exists and respects the limits, then creates the
+ * Images row whose image_id is used by spots, lists and posts.
+ */
+app.http('registerImage', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'images/register',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Register image request received');
+
+        try {
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            // Validate request body exists
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            const { image_name, blob_url, thumbnail_url } = requestBody;
+
+            // Validate required fields
+            if (!blob_url || typeof blob_url !== 'string') {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'blob_url is required'
+                    }
+                };
+            }
+
+            if (thumbnail_url !== undefined && thumbnail_url !== null && typeof thumbnail_url !== 'string') {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'thumbnail_url must be a string'
+                    }
+                };
+            }
+
+            // Validate field lengths (based on the Images schema)
+            if (blob_url.length > 500 || (thumbnail_url && thumbnail_url.length > 500)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'blob_url and thumbnail_url must be 500 characters or less'
+                    }
+                };
+            }
+
+            if (image_name && image_name.length > 255) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'image_name must be 255 characters or less'
+                    }
+                };
+            }
+
+            // Step 1: Check the main blob was uploaded by this user and respects the limits
+            context.log('Validating uploaded blob...');
+            const blobCheck = await validateUploadedBlob(blob_url, auth.user_id, context);
+            if (blobCheck.error) {
+                return blobCheck.error;
+            }
+
+            // Step 2: Same checks for the optional thumbnail
+            let thumbnailCheck = null;
+            if (thumbnail_url) {
+                context.log('Validating uploaded thumbnail...');
+                thumbnailCheck = await validateUploadedBlob(thumbnail_url, auth.user_id, context);
+                if (thumbnailCheck.error) {
+                    return thumbnailCheck.error;
+                }
+            }
+
+            // Only canonical blob URLs are stored and compared, never the URLs as sent
+            const blobUrl = blobCheck.blobUrl;
+            const thumbnailUrl = thumbnailCheck ? thumbnailCheck.blobUrl : null;
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            // Step 3: Registering the same blob twice returns the existing image (safe retries)
+            const existingImage = await findImageByBlobUrl(pool, blobUrl);
+            if (existingImage) {
+                context.log('Blob already registered, returning existing image');
+                return buildAlreadyRegisteredResponse(existingImage);
+            }
+
+            // Step 4: Insert with the blob's real content type and size, not the declared ones
+            context.log('Inserting image record...');
+            const insertRequest = new sql.Request(pool);
+            const insertResult = await insertRequest
+                .input('image_name', sql.NVarChar(255), image_name || blobCheck.blobName.split('/').pop())
+                .input('blob_url', sql.NVarChar(500), blobUrl)
+                .input('thumbnail_url', sql.NVarChar(500), thumbnailUrl)
+                .input('content_type', sql.NVarChar(100), blobCheck.contentType)
+                .input('file_size', sql.BigInt, blobCheck.fileSize)
+                .input('uploaded_by_user_id', sql.Int, auth.user_id)
+                .query(`
+                    INSERT INTO Images (image_name, blob_url, thumbnail_url, content_type, file_size, uploaded_by_user_id)
+                    OUTPUT INSERTED.image_id, INSERTED.image_name, INSERTED.blob_url, INSERTED.thumbnail_url,
+                           INSERTED.content_type, INSERTED.file_size, INSERTED.created_date
+                    VALUES (@image_name, @blob_url, @thumbnail_url, @content_type, @file_size, @uploaded_by_user_id)
+                `)
+                .catch(async (error) => {
+                    // A concurrent registration of the same blob won IX_Images_Blob_Url
+                    if (error.number === SQL_DUPLICATE_KEY_ERROR) {
+                        return { duplicate: await findImageByBlobUrl(pool, blobUrl) };
+                    }
+                    throw error;
+                });
+
+            if (insertResult.duplicate) {
+                context.log('Blob registered by a concurrent request, returning existing image');
+                return buildAlreadyRegisteredResponse(insertResult.duplicate);
+            }
+
+            const image = transformImageData(insertResult.recordset[0]);
+            context.log('Registered image with ID:', image.image_id);
+
+            return {
+                status: 201, // 201 = Created
+                jsonBody: {
+                    success: true,
+                    image_id: image.image_id,
+                    message: 'Image registered successfully',
+                    data: {
+                        image
+                    }
+                }
+            };
+
+        } catch (error) {
+            context.log('ERROR registering image:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to register image. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
+
+/**
+ * Finds the image registered for a (canonical) blob URL, or null
+ */
+async function findImageByBlobUrl(pool, blobUrl) {
+    const result = await new sql.Request(pool)
+        .input('blob_url', sql.NVarChar(500), blobUrl)
+        .query(`
+            SELECT image_id, image_name, blob_url, thumbnail_url, content_type, file_size, created_date
+            FROM Images
+            WHERE blob_url = @blob_url
+        `);
+
+    return result.recordset[0] || null;
+}
+
+function buildAlreadyRegisteredResponse(row) {
+    return {
+        status: 200,
+        jsonBody: {
+            success: true,
+            image_id: row.image_id,
+            message: 'Image was already registered',
+            data: {
+                image: transformImageData(row)
+            }
+        }
+    };
+}
+
+/**
+ * Checks a blob URL points to an upload issued to the user, that it exists
+ * and that it respects the content type and size limits.
+ * A blob breaking the limits is deleted, since the SAS can't enforce them.
+ *
+ * Returns { blobName, blobUrl, contentType, fileSize } or { error: <http response> }
+ */
+async function validateUploadedBlob(blobUrl, userId, context) {
+    const blob = await getBlobFromUrl(blobUrl);
+    if (!blob) {
+        return {
+            error: {
+                status: 400,
+                jsonBody: {
+                    success: false,
+                    error: 'Image URLs must be the blobUrl from POST /api/images/upload-url (no query string)'
+                }
+            }
+        };
+    }
+
+    if (!isBlobOwnedBy(blob.blobName, userId)) {
+        return {
+            error: {
+                status: 403,
+                jsonBody: {
+                    success: false,
+                    error: 'This upload was issued to another user'
+                }
+            }
+        };
+    }
+
+    let properties;
+    try {
+        properties = await blob.blobClient.getProperties();
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return {
+                error: {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'No file was uploaded to this URL yet'
+                    }
+                }
+            };
+        }
+        throw error;
+    }
+
+    const maxBytes = getMaxImageBytes();
+    if (properties.contentLength > maxBytes) {
+        context.log(`Deleting oversized blob ${blob.blobName} (${properties.contentLength} bytes)`);
+        await blob.blobClient.deleteIfExists();
+        return {
+            error: {
+                status: 413,
+                jsonBody: {
+                    success: false,
+                    error: `Uploaded file must be ${maxBytes} bytes or less`
+                }
+            }
+        };
+    }
+
+    if (!isAllowedImageType(properties.contentType)) {
+        context.log(`Deleting blob ${blob.blobName} with invalid content type ${properties.contentType}`);
+        await blob.blobClient.deleteIfExists();
+        return {
+            error: {
+                status: 400,
+                jsonBody: {
+                    success: false,
+                    error: `Uploaded file must be one of: ${Object.keys(ALLOWED_IMAGE_TYPES).join(', ')}`
+                }
+            }
+        };
+    }
+
+    return {
+        blobName: blob.blobName,
+        blobUrl: blob.blobClient.url,
+        contentType: properties.contentType,
+        fileSize: properties.contentLength
+    };
+}
+
+/**
+ * Transform raw database row into image object (matches the app's Image model)
+ */
+function transformImageData(row) {
+    return {
+        image_id: row.image_id,
+        image_name: row.image_name,
+        blob_url: row.blob_url,
+        thumbnail_url: row.thumbnail_url,
+        content_type: row.content_type,
+        file_size: row.file_size !== null ? Number(row.file_size) : null,
+        created_date: row.created_date?.toISOString()
+    };
+}
@@ -0,0 +1,156 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth, isModerator } = require('../shared/auth');
+const { compactPostImages, getPostGallery } = require('../shared/postImages');
+
+/**
+ * HTTP Trigger Function for Removing an Image from a Post
+ * DELETE /api/posts/{postId}/images/{imageId}
+ *
+ * Only unlinks the image: the Images row and the blob are kept.
+ * The gallery is renumbered and, if the thumbnail was removed,
+ * the first remaining image becomes the thumbnail.
+ */
+app.http('removePostImage', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'posts/{postId}/images/{imageId}',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Remove post image request received');
+
+        try {
+            // Get IDs from URL parameters
+            const postIdNum = parseInt(request.params.postId);
+            const imageIdNum = parseInt(request.params.imageId);
+
+            if (isNaN(postIdNum) || postIdNum <= 0 || isNaN(imageIdNum) || imageIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID and image ID must be positive integers'
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the post, locked until commit so gallery changes to it run one at a time
+                context.log('Getting post details...');
+                const postResult = await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        SELECT post_id, user_id, deleted_at
+                        FROM Post WITH (UPDLOCK, ROWLOCK)
+                        WHERE post_id = @post_id
+                    `);
+
+                if (postResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const postInfo = postResult.recordset[0];
+
+                // Step 2: Same permission rule as deletePost (moderators can take down images)
+                if (postInfo.user_id !== auth.user_id && !isModerator(auth)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the post author or a moderator can remove images from this post'
+                        }
+                    };
+                }
+
+                if (postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: 'Post is deleted. Restore it before changing its images.'
+                        }
+                    };
+                }
+
+                // Step 3: Unlink the image
+                context.log('Deleting post-image association...');
+                const deleteResult = await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .input('image_id', sql.Int, imageIdNum)
+                    .query(`
+                        DELETE FROM Post_Images
+                        OUTPUT DELETED.is_thumbnail
+                        WHERE post_id = @post_id AND image_id = @image_id
+                    `);
+
+                if (deleteResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Image ${imageIdNum} is not attached to post ${postIdNum}`
+                        }
+                    };
+                }
+
+                // Step 4: Close the gap in the order and keep a thumbnail
+                await compactPostImages(transaction, postIdNum);
+                const images = await getPostGallery(transaction, postIdNum);
+
+                await transaction.commit();
+                context.log('Post image removal committed successfully');
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Image removed from post',
+                        data: {
+                            post_id: postIdNum,
+                            removed_image_id: imageIdNum,
+                            thumbnail_changed: Boolean(deleteResult.recordset[0].is_thumbnail) && images.length > 0,
+                            images
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR removing post image:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to remove image from post. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
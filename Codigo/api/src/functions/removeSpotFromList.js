@@ -1,17 +1,8 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { canUserModifyList, compactListPositions } = require('../shared/lists');
 
 /**
  * HTTP Trigger Function for Removing Spots from Lists
@@ -21,7 +12,7 @@ app.http('removeSpotFromList', {
     methods: ['DELETE'],
     authLevel: 'anonymous',
     route: 'lists/{listId}/spots/{spotId}',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Remove spot from list request received');
 
@@ -79,19 +70,19 @@ app.http('removeSpotFromList', {
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction for data consistency
             const transaction = new sql.Transaction(pool);
             await transaction.begin();
 
             try {
-                // Step 1: Verify that the list exists
+                // Step 1: Verify that the list exists, locked until commit (positions are renumbered below)
                 context.log('Verifying list exists...');
                 const listCheckRequest = new sql.Request(transaction);
                 const listResult = await listCheckRequest
                     .input('list_id', sql.Int, listIdNum)
-                    .query('SELECT list_id, list_name, is_public FROM List WHERE list_id = @list_id');
+                    .query('SELECT list_id, list_name, is_public, owner_user_id FROM List WITH (UPDLOCK, ROWLOCK) WHERE list_id = @list_id');
 
                 if (listResult.recordset.length === 0) {
                     await transaction.rollback();
@@ -107,6 +98,18 @@ app.http('removeSpotFromList', {
                 const listInfo = listResult.recordset[0];
                 context.log('Found list:', listInfo.list_name);
 
+                // Only the owner can modify the list
+                if (!canUserModifyList(auth.user_id, listInfo.owner_user_id)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: { 
+                            success: false,
+                            error: 'Only the list owner can modify this list' 
+                        }
+                    };
+                }
+
                 // Step 2: Verify that the spot exists
                 context.log('Verifying spot exists...');
                 const spotCheckRequest = new sql.Request(transaction);
@@ -136,7 +139,7 @@ app.http('removeSpotFromList', {
                     .input('spot_id', sql.Int, spotIdNum)
                     .query(`
                         SELECT 
-                            list_id, spot_id, created_date, list_thumbnail_id
+                            list_id, spot_id, created_date, list_thumbnail_id, position
                         FROM List_has_Spot 
                         WHERE list_id = @list_id AND spot_id = @spot_id
                     `);
@@ -204,6 +207,9 @@ app.http('removeSpotFromList', {
 
                 context.log(`Successfully removed spot ${spotIdNum} from list ${listIdNum}`);
 
+                // The spots after it move up one, positions stay 1..n
+                await compactListPositions(transaction, listIdNum);
+
                 // Step 6: Get updated list statistics after deletion
                 const statsAfterRequest = new sql.Request(transaction);
                 const statsAfterResult = await statsAfterRequest
@@ -235,6 +241,7 @@ app.http('removeSpotFromList', {
                             removed_at: new Date().toISOString(),
                             association_info: {
                                 was_added_on: associationInfo.created_date.toISOString(),
+                                was_at_position: associationInfo.position,
                                 had_thumbnail: associationInfo.list_thumbnail_id !== null,
                                 list_thumbnail_id: associationInfo.list_thumbnail_id
                             },
@@ -258,9 +265,6 @@ app.http('removeSpotFromList', {
                 await transaction.rollback();
                 context.log('Transaction rolled back due to error:', dbError);
                 throw dbError;
-            } finally {
-                // Always close the connection
-                await pool.close();
             }
 
         } catch (error) {
@@ -277,19 +281,9 @@ app.http('removeSpotFromList', {
                 }
             };
         }
-    }
+    })
 });
 
-/**
- * Helper function to validate list permissions
- * For future use when you add user authentication
- */
-function canUserModifyList(userId, listOwnerId, isPublic) {
-    // For now, anyone can modify any list (no authentication)
-    // Later: return userId === listOwnerId || (isPublic && hasPermission)
-    return true;
-}
-
 /**
  * Helper function to get related lists that also contain this spot
  * Could be useful for suggesting where to move the spot instead of just removing
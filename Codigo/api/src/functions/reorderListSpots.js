@@ -0,0 +1,198 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { canUserModifyList } = require('../shared/lists');
+
+/**
+ * HTTP Trigger Function for Reordering the Spots of a List
+ * PUT /api/lists/{listId}/spots/order
+ *
+ * Body: { spot_ids: [..] } - every spot of the list, in the new order (an itinerary).
+ * All positions are rewritten in one transaction.
+ */
+app.http('reorderListSpots', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'lists/{listId}/spots/order',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Reorder list spots request received');
+
+        try {
+            // Get list ID from URL parameter
+            const listIdNum = parseInt(request.params.listId);
+            if (isNaN(listIdNum) || listIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'List ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            const { spot_ids } = requestBody;
+
+            const spotIdsError = validateSpotIds(spot_ids);
+            if (spotIdsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: spotIdsError
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the list, locked until commit, and check the caller owns it
+                context.log('Getting list details...');
+                const listResult = await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .query(`
+                        SELECT list_id, list_name, owner_user_id
+                        FROM List WITH (UPDLOCK, ROWLOCK)
+                        WHERE list_id = @list_id
+                    `);
+
+                if (listResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `List with ID ${listIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const listInfo = listResult.recordset[0];
+
+                if (!canUserModifyList(auth.user_id, listInfo.owner_user_id)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the list owner can modify this list'
+                        }
+                    };
+                }
+
+                // Step 2: The new order must list exactly the current spots
+                const currentResult = await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .query('SELECT spot_id FROM List_has_Spot WHERE list_id = @list_id');
+
+                const currentIds = currentResult.recordset.map((row) => row.spot_id);
+                const missing = currentIds.filter((spotId) => !spot_ids.includes(spotId));
+                const unknown = spot_ids.filter((spotId) => !currentIds.includes(spotId));
+
+                if (missing.length > 0 || unknown.length > 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: 'spot_ids must contain every spot of the list exactly once',
+                            ...(missing.length > 0 && { missing_spot_ids: missing }),
+                            ...(unknown.length > 0 && { unknown_spot_ids: unknown })
+                        }
+                    };
+                }
+
+                // Step 3: position = place in the array (1-based)
+                context.log('Updating spot positions...');
+                await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .input('spot_ids', sql.NVarChar(sql.MAX), JSON.stringify(spot_ids))
+                    .query(`
+                        UPDATE lhs
+                        SET position = CAST(j.[key] AS INT) + 1
+                        FROM List_has_Spot lhs
+                        INNER JOIN OPENJSON(@spot_ids) j ON lhs.spot_id = CAST(j.value AS INT)
+                        WHERE lhs.list_id = @list_id
+                    `);
+
+                await transaction.commit();
+                context.log('List spots reorder committed successfully');
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: `Spots of list "${listInfo.list_name}" reordered successfully`,
+                        data: {
+                            list_id: listIdNum,
+                            spots: spot_ids.map((spotId, index) => ({
+                                spot_id: spotId,
+                                position: index + 1
+                            }))
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR reordering list spots:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to reorder list spots. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
+
+/**
+ * Validates a spot_ids array from a request body
+ * Returns an error message, or null when the array is valid
+ */
+function validateSpotIds(spotIds) {
+    if (!Array.isArray(spotIds) || spotIds.length === 0) {
+        return 'spot_ids must be a non-empty array of spot IDs';
+    }
+
+    if (!spotIds.every((id) => Number.isInteger(id) && id > 0)) {
+        return 'spot_ids must only contain positive integers';
+    }
+
+    if (new Set(spotIds).size !== spotIds.length) {
+        return 'spot_ids must not contain duplicates';
+    }
+
+    return null;
+}
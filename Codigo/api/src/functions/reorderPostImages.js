@@ -0,0 +1,185 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { validateImageIds, getPostGallery } = require('../shared/postImages');
+
+/**
+ * HTTP Trigger Function for Reordering a Post Gallery
+ * PUT /api/posts/{postId}/images/order
+ *
+ * Body: { image_ids: [..] } - every image of the post, in the new order.
+ * The thumbnail is not changed.
+ */
+app.http('reorderPostImages', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'posts/{postId}/images/order',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Reorder post images request received');
+
+        try {
+            // Get post ID from URL parameter
+            const postIdNum = parseInt(request.params.postId);
+            if (isNaN(postIdNum) || postIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            const { image_ids } = requestBody;
+
+            const imageIdsError = validateImageIds(image_ids);
+            if (imageIdsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: imageIdsError
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the post, locked until commit so gallery changes to it run one at a time,
+                // and check the caller is its author
+                context.log('Getting post details...');
+                const postResult = await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        SELECT post_id, user_id, deleted_at
+                        FROM Post WITH (UPDLOCK, ROWLOCK)
+                        WHERE post_id = @post_id
+                    `);
+
+                if (postResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const postInfo = postResult.recordset[0];
+
+                if (postInfo.user_id !== auth.user_id) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the post author can reorder the images of this post'
+                        }
+                    };
+                }
+
+                if (postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: 'Post is deleted. Restore it before changing its images.'
+                        }
+                    };
+                }
+
+                // Step 2: The new order must list exactly the current images
+                const currentIds = (await getPostGallery(transaction, postIdNum)).map((image) => image.image_id);
+                const missing = currentIds.filter((imageId) => !image_ids.includes(imageId));
+                const unknown = image_ids.filter((imageId) => !currentIds.includes(imageId));
+
+                if (missing.length > 0 || unknown.length > 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: 'image_ids must contain every image of the post exactly once',
+                            ...(missing.length > 0 && { missing_image_ids: missing }),
+                            ...(unknown.length > 0 && { unknown_image_ids: unknown })
+                        }
+                    };
+                }
+
+                // Step 3: image_order = position in the array (1-based)
+                context.log('Updating image order...');
+                await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .input('image_ids', sql.NVarChar(sql.MAX), JSON.stringify(image_ids))
+                    .query(`
+                        UPDATE pi
+                        SET image_order = CAST(j.[key] AS INT) + 1
+                        FROM Post_Images pi
+                        INNER JOIN OPENJSON(@image_ids) j ON pi.image_id = CAST(j.value AS INT)
+                        WHERE pi.post_id = @post_id
+                    `);
+
+                const images = await getPostGallery(transaction, postIdNum);
+
+                await transaction.commit();
+                context.log('Post images reorder committed successfully');
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Post images reordered successfully',
+                        data: {
+                            post_id: postIdNum,
+                            images
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR reordering post images:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to reorder post images. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
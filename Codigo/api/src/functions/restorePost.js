@@ -0,0 +1,188 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth, isModerator } = require('../shared/auth');
+const { findActiveReview } = require('../shared/posts');
+const { applyReviewRatingChange } = require('../shared/spotRatings');
+const { checkCommunityPostList } = require('../shared/lists');
+
+/**
+ * HTTP Trigger Function for Restoring Soft Deleted Posts
+ * POST /api/posts/{postId}/restore
+ */
+app.http('restorePost', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'posts/{postId}/restore',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Restore post request received');
+
+        try {
+            // Get post ID from URL parameter
+            const postId = request.params.postId;
+            if (!postId) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID is required in URL path'
+                    }
+                };
+            }
+
+            // Validate post ID is a number
+            const postIdNum = parseInt(postId);
+            if (isNaN(postIdNum) || postIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            // Start transaction for data consistency
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the post and its deleted state, locked so a concurrent delete waits
+                context.log('Getting post details...');
+                const postRequest = new sql.Request(transaction);
+                const postResult = await postRequest
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        SELECT p.post_id, p.user_id, p.type, p.deleted_at, p.deleted_by_user_id, rp.spot_id, rp.rating, cp.list_id
+                        FROM Post p WITH (UPDLOCK, ROWLOCK)
+                        LEFT JOIN Review_Post rp ON p.post_id = rp.post_id
+                        LEFT JOIN Community_Post cp ON p.post_id = cp.post_id
+                        WHERE p.post_id = @post_id
+                    `);
+
+                if (postResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const postInfo = postResult.recordset[0];
+
+                // Step 2: Same permission rule as deletePost
+                if (auth.user_id !== postInfo.user_id && !isModerator(auth)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the post author or a moderator can restore this post'
+                        }
+                    };
+                }
+
+                if (!postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} is not deleted`
+                        }
+                    };
+                }
+
+                // A restored review can't become the user's second active review of the spot
+                if (postInfo.type === 'review') {
+                    const activeReview = await findActiveReview(transaction, postInfo.user_id, postInfo.spot_id, postInfo.post_id);
+                    if (activeReview) {
+                        await transaction.rollback();
+                        return {
+                            status: 409,
+                            jsonBody: {
+                                success: false,
+                                error: 'The author already has another active review of this spot',
+                                existing_post_id: activeReview.post_id
+                            }
+                        };
+                    }
+                }
+
+                // A community post unpublished by PUT /api/lists/{id} comes back only with a public list
+                if (postInfo.type === 'community') {
+                    const listCheck = await checkCommunityPostList(transaction, postInfo.list_id);
+                    if (listCheck.error) {
+                        await transaction.rollback();
+                        return listCheck.error;
+                    }
+                }
+
+                // Step 3: Clear the tombstone
+                context.log('Restoring post...');
+                const restoreRequest = new sql.Request(transaction);
+                await restoreRequest
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        UPDATE Post
+                        SET deleted_at = NULL, deleted_by_user_id = NULL
+                        WHERE post_id = @post_id
+                    `);
+
+                // Step 4: The review counts in the spot aggregates again
+                if (postInfo.type === 'review') {
+                    context.log('Updating spot rating statistics...');
+                    await applyReviewRatingChange(transaction, postInfo.spot_id, null, postInfo.rating);
+                }
+
+                await transaction.commit();
+                context.log('Post restore transaction committed successfully');
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Post restored successfully',
+                        data: {
+                            post_id: postIdNum,
+                            type: postInfo.type,
+                            user_id: postInfo.user_id,
+                            was_deleted_at: postInfo.deleted_at.toISOString(),
+                            was_deleted_by_user_id: postInfo.deleted_by_user_id,
+                            restored_by_user_id: auth.user_id,
+                            restored_at: new Date().toISOString()
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                // Rollback transaction on database error
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR restoring post:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to restore post. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
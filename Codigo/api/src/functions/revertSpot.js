@@ -0,0 +1,209 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const {
+    SPOT_REVISION_FIELDS,
+    findDuplicateSpot,
+    getChangedSpotFields,
+    updateSpotFields,
+    recordSpotRevision
+} = require('../shared/spots');
+const { resolveCategory } = require('../shared/categories');
+
+/**
+ * HTTP Trigger Function for Reverting a Spot to a Previous Revision
+ * POST /api/spots/{spotId}/revisions/{revisionNumber}/revert
+ *
+ * History is never rewritten: the old state is applied as a new revision.
+ */
+app.http('revertSpot', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'spots/{spotId}/revisions/{revisionNumber}/revert',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Revert spot request received');
+
+        try {
+            // Get IDs from URL parameters
+            const spotIdNum = parseInt(request.params.spotId);
+            const revisionNum = parseInt(request.params.revisionNumber);
+
+            if (isNaN(spotIdNum) || spotIdNum <= 0 || isNaN(revisionNum) || revisionNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Spot ID and revision number must be positive integers'
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the current spot, locked like in updateSpot
+                context.log('Getting current spot...');
+                const spotResult = await new sql.Request(transaction)
+                    .input('spot_id', sql.Int, spotIdNum)
+                    .query(`
+                        SELECT spot_id, ${SPOT_REVISION_FIELDS.join(', ')}
+                        FROM Spot WITH (UPDLOCK, ROWLOCK)
+                        WHERE spot_id = @spot_id
+                    `);
+
+                if (spotResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Spot with ID ${spotIdNum} not found`
+                        }
+                    };
+                }
+
+                const currentSpot = spotResult.recordset[0];
+
+                // Step 2: Get the revision to restore
+                const revisionResult = await new sql.Request(transaction)
+                    .input('spot_id', sql.Int, spotIdNum)
+                    .input('revision_number', sql.Int, revisionNum)
+                    .query(`
+                        SELECT ${SPOT_REVISION_FIELDS.join(', ')}
+                        FROM Spot_Revision
+                        WHERE spot_id = @spot_id AND revision_number = @revision_number
+                    `);
+
+                if (revisionResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Spot ${spotIdNum} has no revision ${revisionNum}`
+                        }
+                    };
+                }
+
+                const revision = revisionResult.recordset[0];
+                const changedFields = getChangedSpotFields(currentSpot, revision);
+
+                if (changedFields.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: `Spot already matches revision ${revisionNum}`
+                        }
+                    };
+                }
+
+                // Step 3: Another spot may have taken the old name since
+                if (['spot_name', 'city', 'country'].some((field) => changedFields.includes(field))) {
+                    context.log('Checking for duplicate spots...');
+                    const duplicateSpotId = await findDuplicateSpot(transaction, revision, spotIdNum);
+
+                    if (duplicateSpotId) {
+                        await transaction.rollback();
+                        return {
+                            status: 409,
+                            jsonBody: {
+                                success: false,
+                                error: `A spot named "${revision.spot_name}" already exists in ${revision.city}, ${revision.country}`,
+                                existing_spot_id: duplicateSpotId
+                            }
+                        };
+                    }
+                }
+
+                // Step 4: Revisions don't hold a foreign key, the old image may be gone
+                if (changedFields.includes('spot_image_id') && revision.spot_image_id !== null) {
+                    const imageResult = await new sql.Request(transaction)
+                        .input('image_id', sql.Int, revision.spot_image_id)
+                        .query('SELECT image_id FROM Images WHERE image_id = @image_id');
+
+                    if (imageResult.recordset.length === 0) {
+                        await transaction.rollback();
+                        return {
+                            status: 409,
+                            jsonBody: {
+                                success: false,
+                                error: `Image ${revision.spot_image_id} of revision ${revisionNum} no longer exists`
+                            }
+                        };
+                    }
+                }
+
+                // The old category may have been removed from the taxonomy
+                if (changedFields.includes('category')) {
+                    const category = await resolveCategory(transaction, revision.category);
+                    if (category !== revision.category) {
+                        await transaction.rollback();
+                        return {
+                            status: 409,
+                            jsonBody: {
+                                success: false,
+                                error: `Category "${revision.category}" of revision ${revisionNum} is no longer a valid category`
+                            }
+                        };
+                    }
+                }
+
+                // Step 5: Apply the old values as a new revision
+                context.log(`Reverting spot fields: ${changedFields.join(', ')}`);
+                const fieldsToWrite = {};
+                changedFields.forEach((field) => {
+                    fieldsToWrite[field] = revision[field];
+                });
+                await updateSpotFields(transaction, spotIdNum, fieldsToWrite);
+
+                const revisionNumber = await recordSpotRevision(transaction, spotIdNum, auth.user_id, 'revert', revisionNum);
+
+                await transaction.commit();
+                context.log(`Spot ${spotIdNum} reverted to revision ${revisionNum} as revision ${revisionNumber}`);
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: `Spot reverted to revision ${revisionNum}`,
+                        data: {
+                            spot_id: spotIdNum,
+                            ...revision,
+                            changed_fields: changedFields,
+                            reverted_from_revision: revisionNum,
+                            revision_number: revisionNumber
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR reverting spot:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to revert spot. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
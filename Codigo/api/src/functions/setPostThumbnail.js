@@ -0,0 +1,145 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { setPostThumbnail, getPostGallery } = require('../shared/postImages');
+
+/**
+ * HTTP Trigger Function for Choosing a Post Thumbnail
+ * PUT /api/posts/{postId}/images/{imageId}/thumbnail
+ *
+ * The image must already be in the post gallery.
+ */
+app.http('setPostThumbnail', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'posts/{postId}/images/{imageId}/thumbnail',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Set post thumbnail request received');
+
+        try {
+            // Get IDs from URL parameters
+            const postIdNum = parseInt(request.params.postId);
+            const imageIdNum = parseInt(request.params.imageId);
+
+            if (isNaN(postIdNum) || postIdNum <= 0 || isNaN(imageIdNum) || imageIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID and image ID must be positive integers'
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the post, locked until commit so gallery changes to it run one at a time,
+                // and check the caller is its author
+                context.log('Getting post details...');
+                const postResult = await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        SELECT post_id, user_id, deleted_at
+                        FROM Post WITH (UPDLOCK, ROWLOCK)
+                        WHERE post_id = @post_id
+                    `);
+
+                if (postResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const postInfo = postResult.recordset[0];
+
+                if (postInfo.user_id !== auth.user_id) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the post author can change the thumbnail of this post'
+                        }
+                    };
+                }
+
+                if (postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: 'Post is deleted. Restore it before changing its images.'
+                        }
+                    };
+                }
+
+                // Step 2: The image must be in the gallery
+                const currentImages = await getPostGallery(transaction, postIdNum);
+                if (!currentImages.some((image) => image.image_id === imageIdNum)) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Image ${imageIdNum} is not attached to post ${postIdNum}`
+                        }
+                    };
+                }
+
+                // Step 3: Swap the thumbnail (old one cleared first, see IX_Post_Images_Unique_Thumbnail)
+                context.log('Updating post thumbnail...');
+                await setPostThumbnail(transaction, postIdNum, imageIdNum);
+                const images = await getPostGallery(transaction, postIdNum);
+
+                await transaction.commit();
+                context.log('Post thumbnail change committed successfully');
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Post thumbnail updated successfully',
+                        data: {
+                            post_id: postIdNum,
+                            thumbnail_image_id: imageIdNum,
+                            images
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR setting post thumbnail:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to update post thumbnail. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
@@ -1,24 +1,14 @@
 const { app } = require('@azure/functions');
 const sql = require('mssql');
-
-// Database configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_DATABASE,
-    options: {
-        encrypt: true,
-        trustServerCertificate: false
-    }
-};
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
 
 /**
  * HTTP Trigger Function for Syncing Firebase Users with Database
  * POST /api/users/sync-firebase
  * 
  * This endpoint:
- * 1. Receives Firebase user data from Flutter app
+ * 1. Receives Firebase user data from Flutter app (identity comes from the ID token)
  * 2. Checks if user exists in database (by firebase_uid)
  * 3. Creates new user or updates existing user
  * 4. Returns internal user_id for API calls
@@ -27,7 +17,7 @@ app.http('syncFirebaseUser', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'users/sync-firebase',
-    handler: async (request, context) => {
+    handler: withAuth(async (request, context, auth) => {
         
         context.log('Firebase user sync request received');
 
@@ -47,15 +37,28 @@ app.http('syncFirebaseUser', {
             const requestBody = await request.json();
             context.log('Request body:', requestBody);
 
-            // Validate required Firebase fields
-            const { firebase_uid, email, display_name, photo_url, provider } = requestBody;
+            // Extract optional profile fields
+            const { display_name, photo_url, provider } = requestBody;
+
+            // The Firebase UID is taken from the verified token, never from the body
+            const firebase_uid = auth.firebase_uid;
+            if (requestBody.firebase_uid && requestBody.firebase_uid !== firebase_uid) {
+                return {
+                    status: 403,
+                    jsonBody: { 
+                        success: false,
+                        error: 'firebase_uid does not match the authenticated user' 
+                    }
+                };
+            }
 
-            if (!firebase_uid || !email) {
+            const email = auth.email || requestBody.email;
+            if (!email) {
                 return {
                     status: 400,
                     jsonBody: { 
                         success: false,
-                        error: 'firebase_uid and email are required fields' 
+                        error: 'email is required when the ID token has no email claim' 
                     }
                 };
             }
@@ -73,7 +76,7 @@ app.http('syncFirebaseUser', {
 
             // Connect to database
             context.log('Connecting to database...');
-            const pool = await sql.connect(dbConfig);
+            const pool = await getPool();
             
             // Start transaction
             const transaction = new sql.Transaction(pool);
@@ -86,7 +89,7 @@ app.http('syncFirebaseUser', {
                 const existingUserResult = await existingUserRequest
                     .input('firebase_uid', sql.NVarChar(128), firebase_uid)
                     .query(`
-                        SELECT user_id, display_name, username, user_email, creation_date
+                        SELECT user_id, display_name, username, user_email, creation_date, role
                         FROM Users 
                         WHERE firebase_uid = @firebase_uid
                     `);
@@ -124,7 +127,8 @@ app.http('syncFirebaseUser', {
                                 firebase_uid: firebase_uid,
                                 display_name: display_name || existingUser.display_name,
                                 username: existingUser.username,
-                                email: email
+                                email: email,
+                                role: existingUser.role
                             }
                         }
                     };
@@ -177,7 +181,8 @@ app.http('syncFirebaseUser', {
                             display_name: display_name || 'User',
                             username: generatedUsername,
                             email: email,
-                            created_via: provider || 'firebase'
+                            created_via: provider || 'firebase',
+                            role: 'user'
                         }
                     }
                 };
@@ -186,8 +191,6 @@ app.http('syncFirebaseUser', {
                 await transaction.rollback();
                 context.log('Database transaction error:', dbError);
                 throw dbError;
-            } finally {
-                await pool.close();
             }
 
         } catch (error) {
@@ -204,7 +207,7 @@ app.http('syncFirebaseUser', {
                 }
             };
         }
-    }
+    }, { requireUser: false })
 });
 
 /**
@@ -0,0 +1,317 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { validateListFields, canUserModifyList } = require('../shared/lists');
+
+/**
+ * HTTP Trigger Function for Updating Lists
+ * PUT /api/lists/{listId}
+ *
+ * Editable: list_name, is_public. Only the fields sent are changed.
+ * Community posts can only share public lists, so making a list private that active
+ * community posts share returns 409 with those posts, unless ?unpublishPosts=true
+ * moves them to the trash (restorable once the list is public again).
+ */
+app.http('updateList', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'lists/{listId}',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Update list request received');
+
+        try {
+            // Validate list ID
+            const listIdNum = parseInt(request.params.listId);
+            if (isNaN(listIdNum) || listIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'List ID must be a positive integer'
+                    }
+                };
+            }
+
+            const url = new URL(request.url);
+            const unpublishPosts = url.searchParams.get('unpublishPosts') === 'true';
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            // Keep only the editable fields that were sent
+            const changes = {};
+            ['list_name', 'is_public'].forEach((field) => {
+                if (requestBody[field] !== undefined) {
+                    changes[field] = requestBody[field];
+                }
+            });
+
+            if (Object.keys(changes).length === 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Nothing to update. Editable fields: list_name, is_public'
+                    }
+                };
+            }
+
+            // Same rules as createList
+            if (changes.is_public === null) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'is_public must be a boolean (true or false)'
+                    }
+                };
+            }
+
+            const fieldsError = validateListFields(changes);
+            if (fieldsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: fieldsError
+                    }
+                };
+            }
+
+            if (changes.list_name !== undefined) {
+                changes.list_name = changes.list_name.trim();
+            }
+
+            context.log(`Updating list ${listIdNum}: ${Object.keys(changes).join(', ')}, unpublishPosts: ${unpublishPosts}`);
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the list, locked until commit
+                context.log('Getting list details...');
+                const listResult = await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .query(`
+                        SELECT list_id, list_name, is_public, owner_user_id
+                        FROM List WITH (UPDLOCK, ROWLOCK)
+                        WHERE list_id = @list_id
+                    `);
+
+                if (listResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `List with ID ${listIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const listInfo = listResult.recordset[0];
+
+                // Step 2: Only the owner edits a list (same rule as deleteList)
+                if (!canUserModifyList(auth.user_id, listInfo.owner_user_id)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the list owner can update this list'
+                        }
+                    };
+                }
+
+                // Step 3: Keep only the fields that actually change
+                const changedFields = Object.keys(changes).filter((field) => changes[field] !== listInfo[field]);
+
+                if (changedFields.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            message: 'No changes: the list already has these values',
+                            data: {
+                                list_id: listIdNum,
+                                changed_fields: []
+                            }
+                        }
+                    };
+                }
+
+                // Step 4: A list made private can't stay shared by community posts
+                let unpublishedPostIds = [];
+                if (changedFields.includes('is_public') && changes.is_public === false) {
+                    context.log('Checking community posts sharing the list...');
+                    const sharedPosts = await getActiveCommunityPosts(transaction, listIdNum);
+
+                    if (sharedPosts.length > 0 && !unpublishPosts) {
+                        await transaction.rollback();
+                        return {
+                            status: 409, // 409 = Conflict
+                            jsonBody: {
+                                success: false,
+                                error: 'List cannot be made private because community posts share it',
+                                details: `${sharedPosts.length} community posts share this list. Use ?unpublishPosts=true to move them to the trash, or delete them first.`,
+                                community_posts: sharedPosts.map(formatSharedPost),
+                                suggestion: `PUT /api/lists/${listIdNum}?unpublishPosts=true to unpublish them`
+                            }
+                        };
+                    }
+
+                    if (sharedPosts.length > 0) {
+                        context.log(`Unpublishing ${sharedPosts.length} community posts...`);
+                        unpublishedPostIds = await unpublishCommunityPosts(
+                            transaction, sharedPosts.map((post) => post.post_id), auth.user_id
+                        );
+                    }
+                }
+
+                // Step 5: Update the list
+                context.log(`Updating list fields: ${changedFields.join(', ')}`);
+                const updateRequest = new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum);
+
+                const setClauses = changedFields.map((field) => {
+                    if (field === 'list_name') {
+                        updateRequest.input('list_name', sql.NVarChar(45), changes.list_name);
+                    } else {
+                        updateRequest.input('is_public', sql.Bit, changes.is_public);
+                    }
+                    return `${field} = @${field}`;
+                });
+
+                await updateRequest.query(`
+                    UPDATE List
+                    SET ${setClauses.join(', ')}
+                    WHERE list_id = @list_id
+                `);
+
+                await transaction.commit();
+                context.log('List update transaction committed successfully');
+
+                const updatedList = { ...listInfo, ...changes };
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'List updated successfully',
+                        data: {
+                            list_id: listIdNum,
+                            list_name: updatedList.list_name,
+                            is_public: updatedList.is_public,
+                            owner_user_id: listInfo.owner_user_id,
+                            changed_fields: changedFields,
+                            previous_values: Object.fromEntries(changedFields.map((field) => [field, listInfo[field]])),
+                            ...(unpublishedPostIds.length > 0 && {
+                                unpublished_post_ids: unpublishedPostIds,
+                                restore_endpoint: 'POST /api/posts/{postId}/restore (after making the list public again)'
+                            })
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                // Rollback transaction on database error
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR updating list:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to update list. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
+
+/**
+ * Active (not in the trash) community posts sharing the list, locked until commit
+ */
+async function getActiveCommunityPosts(transaction, listId) {
+    const result = await new sql.Request(transaction)
+        .input('list_id', sql.Int, listId)
+        .query(`
+            SELECT p.post_id, p.user_id, p.created_at, cp.title, u.username
+            FROM Community_Post cp
+            INNER JOIN Post p WITH (UPDLOCK, ROWLOCK) ON cp.post_id = p.post_id
+            LEFT JOIN Users u ON p.user_id = u.user_id
+            WHERE cp.list_id = @list_id
+            AND p.deleted_at IS NULL
+            ORDER BY p.created_at DESC, p.post_id DESC
+        `);
+
+    return result.recordset;
+}
+
+/**
+ * Soft deletes the posts (like DELETE /api/posts/{id}?softDelete=true by the list owner)
+ * and records each one in Post_Deletion_Log
+ * Returns the ids of the posts moved to the trash
+ */
+async function unpublishCommunityPosts(transaction, postIds, userId) {
+    const result = await new sql.Request(transaction)
+        .input('post_ids', sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+        .input('deleted_by_user_id', sql.Int, userId)
+        .query(`
+            UPDATE Post
+            SET deleted_at = GETDATE(), deleted_by_user_id = @deleted_by_user_id
+            OUTPUT INSERTED.post_id
+            WHERE post_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@post_ids))
+            AND deleted_at IS NULL;
+
+            INSERT INTO Post_Deletion_Log
+            (post_id, post_type, post_user_id, deleted_by_user_id, soft_delete, images_count, deleted_at)
+            SELECT
+                p.post_id, p.type, p.user_id, @deleted_by_user_id, 1,
+                (SELECT COUNT(*) FROM Post_Images pi WHERE pi.post_id = p.post_id),
+                p.deleted_at
+            FROM Post p
+            WHERE p.post_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@post_ids));
+        `);
+
+    return result.recordset.map((row) => row.post_id);
+}
+
+/**
+ * Helper function to shape a blocking post for the 409 response
+ */
+function formatSharedPost(post) {
+    return {
+        post_id: post.post_id,
+        title: post.title,
+        user_id: post.user_id,
+        username: post.username,
+        created_at: post.created_at.toISOString()
+    };
+}
@@ -0,0 +1,286 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { LIST_SPOT_FIELDS, validateListSpotFields, formatDateOnly, canUserModifyList } = require('../shared/lists');
+
+/**
+ * HTTP Trigger Function for Updating a Spot in a List
+ * PUT /api/lists/{listId}/spots/{spotId}
+ *
+ * Editable: note, visited, visited_date, planned_date, list_thumbnail_id. Only the fields sent
+ * are changed, null clears one. Dates are YYYY-MM-DD.
+ * Marking a spot visited without a visited_date records today; sending a visited_date marks
+ * it visited; visited: false clears the visit date.
+ */
+app.http('updateListSpot', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'lists/{listId}/spots/{spotId}',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Update list spot request received');
+
+        try {
+            // Validate list ID and spot ID
+            const listIdNum = parseInt(request.params.listId);
+            if (isNaN(listIdNum) || listIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'List ID must be a positive integer'
+                    }
+                };
+            }
+
+            const spotIdNum = parseInt(request.params.spotId);
+            if (isNaN(spotIdNum) || spotIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Spot ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            // Keep only the editable fields that were sent
+            const changes = {};
+            LIST_SPOT_FIELDS.forEach((field) => {
+                if (requestBody[field] !== undefined) {
+                    changes[field] = requestBody[field];
+                }
+            });
+
+            if (Object.keys(changes).length === 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Nothing to update. Editable fields: ${LIST_SPOT_FIELDS.join(', ')}`
+                    }
+                };
+            }
+
+            const fieldsError = validateListSpotFields(changes);
+            if (fieldsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: fieldsError
+                    }
+                };
+            }
+
+            // A blank note is no note
+            if (typeof changes.note === 'string') {
+                changes.note = changes.note.trim() || null;
+            }
+
+            context.log(`Updating spot ${spotIdNum} in list ${listIdNum}: ${Object.keys(changes).join(', ')}`);
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the list and check the caller owns it
+                context.log('Getting list details...');
+                const listResult = await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .query('SELECT list_id, list_name, owner_user_id FROM List WHERE list_id = @list_id');
+
+                if (listResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `List with ID ${listIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const listInfo = listResult.recordset[0];
+
+                if (!canUserModifyList(auth.user_id, listInfo.owner_user_id)) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the list owner can modify this list'
+                        }
+                    };
+                }
+
+                // Step 2: Get the spot's current details in the list, locked until commit
+                context.log('Getting spot details in list...');
+                const associationResult = await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .input('spot_id', sql.Int, spotIdNum)
+                    .query(`
+                        SELECT lhs.note, lhs.visited, lhs.visited_date, lhs.planned_date,
+                               lhs.list_thumbnail_id, lhs.position, s.spot_name
+                        FROM List_has_Spot lhs WITH (UPDLOCK, ROWLOCK)
+                        INNER JOIN Spot s ON lhs.spot_id = s.spot_id
+                        WHERE lhs.list_id = @list_id AND lhs.spot_id = @spot_id
+                    `);
+
+                if (associationResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Spot with ID ${spotIdNum} is not in list "${listInfo.list_name}"`
+                        }
+                    };
+                }
+
+                const row = associationResult.recordset[0];
+                const current = {
+                    note: row.note,
+                    visited: row.visited,
+                    visited_date: formatDateOnly(row.visited_date),
+                    planned_date: formatDateOnly(row.planned_date),
+                    list_thumbnail_id: row.list_thumbnail_id
+                };
+
+                // Step 3: Work out the new values, keeping visited and visited_date consistent
+                const updated = { ...current, ...changes };
+                if (changes.visited === undefined && changes.visited_date) {
+                    updated.visited = true;
+                }
+                if (!updated.visited) {
+                    updated.visited_date = null;
+                }
+                const visitedToday = updated.visited && !updated.visited_date;
+
+                const changedFields = LIST_SPOT_FIELDS.filter((field) =>
+                    updated[field] !== current[field] || (field === 'visited_date' && visitedToday)
+                );
+
+                if (changedFields.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            message: 'No changes: the spot already has these values',
+                            data: {
+                                list_id: listIdNum,
+                                spot_id: spotIdNum,
+                                ...current,
+                                changed_fields: []
+                            }
+                        }
+                    };
+                }
+
+                // Step 4: Verify a new thumbnail image exists
+                if (changedFields.includes('list_thumbnail_id') && updated.list_thumbnail_id !== null) {
+                    context.log('Verifying thumbnail image exists...');
+                    const imageResult = await new sql.Request(transaction)
+                        .input('image_id', sql.Int, updated.list_thumbnail_id)
+                        .query('SELECT image_id FROM Images WHERE image_id = @image_id');
+
+                    if (imageResult.recordset.length === 0) {
+                        await transaction.rollback();
+                        return {
+                            status: 404,
+                            jsonBody: {
+                                success: false,
+                                error: `Image with ID ${updated.list_thumbnail_id} does not exist`
+                            }
+                        };
+                    }
+                }
+
+                // Step 5: Update the spot in the list (a visit without a date is today's)
+                context.log(`Updating list spot fields: ${changedFields.join(', ')}`);
+                const updateResult = await new sql.Request(transaction)
+                    .input('list_id', sql.Int, listIdNum)
+                    .input('spot_id', sql.Int, spotIdNum)
+                    .input('note', sql.NVarChar(500), updated.note)
+                    .input('visited', sql.Bit, updated.visited)
+                    .input('visited_date', sql.NVarChar(10), updated.visited_date)
+                    .input('planned_date', sql.NVarChar(10), updated.planned_date)
+                    .input('list_thumbnail_id', sql.Int, updated.list_thumbnail_id)
+                    .query(`
+                        UPDATE List_has_Spot
+                        SET note = @note,
+                            visited = @visited,
+                            visited_date = CASE
+                                WHEN @visited = 0 THEN NULL
+                                ELSE COALESCE(CAST(@visited_date AS DATE), CAST(GETDATE() AS DATE))
+                            END,
+                            planned_date = CAST(@planned_date AS DATE),
+                            list_thumbnail_id = @list_thumbnail_id
+                        OUTPUT INSERTED.visited_date
+                        WHERE list_id = @list_id AND spot_id = @spot_id
+                    `);
+
+                updated.visited_date = formatDateOnly(updateResult.recordset[0].visited_date);
+
+                await transaction.commit();
+                context.log('List spot update committed successfully');
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: `Spot "${row.spot_name}" updated in list "${listInfo.list_name}" successfully`,
+                        data: {
+                            list_id: listIdNum,
+                            spot_id: spotIdNum,
+                            position: row.position,
+                            ...updated,
+                            changed_fields: changedFields,
+                            previous_values: Object.fromEntries(changedFields.map((field) => [field, current[field]]))
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                // Rollback transaction on database error
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR updating list spot:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to update spot in list. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
@@ -0,0 +1,317 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const { POST_TYPE_FIELDS, validatePostFields } = require('../shared/posts');
+const { applyReviewRatingChange } = require('../shared/spotRatings');
+const { checkCommunityPostList } = require('../shared/lists');
+
+// Subtype table holding the fields of each post type
+const POST_TYPE_TABLES = {
+    review: 'Review_Post',
+    community: 'Community_Post',
+    list: 'List_Post'
+};
+
+/**
+ * HTTP Trigger Function for Editing Posts
+ * PUT /api/posts/{postId}
+ *
+ * Editable: description (all types), rating (review), title and list_id (community, list).
+ * The type and the reviewed spot can't change. Sets Post.edited_date.
+ */
+app.http('updatePost', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'posts/{postId}',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Update post request received');
+
+        try {
+            // Get post ID from URL parameter
+            const postIdNum = parseInt(request.params.postId);
+            if (isNaN(postIdNum) || postIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Post ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            // Keep only the editable fields that were sent
+            const changes = {};
+            ['description', 'rating', 'title', 'list_id'].forEach((field) => {
+                if (requestBody[field] !== undefined) {
+                    changes[field] = requestBody[field];
+                }
+            });
+
+            if (Object.keys(changes).length === 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Nothing to update. Editable fields: description, rating (review), title and list_id (community, list)'
+                    }
+                };
+            }
+
+            // Same rules as createPosts
+            const fieldsError = validatePostFields(changes);
+            if (fieldsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: fieldsError
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the post with its subtype fields, locked until commit
+                context.log('Getting post details...');
+                const postResult = await new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum)
+                    .query(`
+                        SELECT
+                            p.post_id, p.user_id, p.type, p.description, p.created_date, p.deleted_at,
+                            rp.spot_id, rp.rating,
+                            COALESCE(cp.title, lp.title) as title,
+                            COALESCE(cp.list_id, lp.list_id) as list_id
+                        FROM Post p WITH (UPDLOCK, ROWLOCK)
+                        LEFT JOIN Review_Post rp ON p.post_id = rp.post_id
+                        LEFT JOIN Community_Post cp ON p.post_id = cp.post_id
+                        LEFT JOIN List_Post lp ON p.post_id = lp.post_id
+                        WHERE p.post_id = @post_id
+                    `);
+
+                if (postResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Post with ID ${postIdNum} does not exist`
+                        }
+                    };
+                }
+
+                const postInfo = postResult.recordset[0];
+
+                // Step 2: Only the author edits a post (moderators can delete it instead)
+                if (postInfo.user_id !== auth.user_id) {
+                    await transaction.rollback();
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            success: false,
+                            error: 'Only the post author can edit this post'
+                        }
+                    };
+                }
+
+                if (postInfo.deleted_at) {
+                    await transaction.rollback();
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            success: false,
+                            error: 'Post is deleted. Restore it before editing it.'
+                        }
+                    };
+                }
+
+                // Step 3: The type and the reviewed spot are fixed
+                if (requestBody.type !== undefined && requestBody.type !== postInfo.type) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: `A post's type can't be changed (this is a ${postInfo.type} post). Create a new post instead.`
+                        }
+                    };
+                }
+
+                if (requestBody.spot_id !== undefined && requestBody.spot_id !== postInfo.spot_id) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: postInfo.type === 'review'
+                                ? 'The reviewed spot can\'t be changed. Create a new review instead.'
+                                : `spot_id can't be set on ${postInfo.type} posts`
+                        }
+                    };
+                }
+
+                const allowedFields = ['description', ...POST_TYPE_FIELDS[postInfo.type]];
+                const notAllowed = Object.keys(changes).filter((field) => !allowedFields.includes(field));
+                if (notAllowed.length > 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: `${notAllowed.join(', ')} can't be set on ${postInfo.type} posts. Editable: ${allowedFields.join(', ')}`
+                        }
+                    };
+                }
+
+                const changedFields = Object.keys(changes).filter((field) =>
+                    (changes[field] ?? null) !== (postInfo[field] ?? null)
+                );
+
+                if (changedFields.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            message: 'No changes: the post already has these values',
+                            data: {
+                                post_id: postIdNum,
+                                changed_fields: []
+                            }
+                        }
+                    };
+                }
+
+                // Step 4: A new list must exist (and be public for community posts)
+                if (changedFields.includes('list_id') && postInfo.type === 'community') {
+                    const listCheck = await checkCommunityPostList(transaction, changes.list_id);
+                    if (listCheck.error) {
+                        await transaction.rollback();
+                        return listCheck.error;
+                    }
+                } else if (changedFields.includes('list_id')) {
+                    context.log('Validating list exists...');
+                    const listResult = await new sql.Request(transaction)
+                        .input('list_id', sql.Int, changes.list_id)
+                        .query('SELECT list_id FROM List WHERE list_id = @list_id');
+
+                    if (listResult.recordset.length === 0) {
+                        await transaction.rollback();
+                        return {
+                            status: 400,
+                            jsonBody: {
+                                success: false,
+                                error: `List with ID ${changes.list_id} does not exist`
+                            }
+                        };
+                    }
+                }
+
+                // Step 5: Update Post (description + edit marker)
+                context.log(`Updating post fields: ${changedFields.join(', ')}`);
+                const updateRequest = new sql.Request(transaction)
+                    .input('post_id', sql.Int, postIdNum);
+
+                let descriptionSet = '';
+                if (changedFields.includes('description')) {
+                    updateRequest.input('description', sql.NVarChar(500), changes.description);
+                    descriptionSet = 'description = @description,';
+                }
+
+                const updateResult = await updateRequest.query(`
+                    UPDATE Post
+                    SET ${descriptionSet} edited_date = GETDATE()
+                    OUTPUT INSERTED.edited_date
+                    WHERE post_id = @post_id
+                `);
+
+                // Step 6: Update the subtype table
+                const subtypeFields = changedFields.filter((field) => field !== 'description');
+                if (subtypeFields.length > 0) {
+                    const subtypeRequest = new sql.Request(transaction)
+                        .input('post_id', sql.Int, postIdNum);
+
+                    if (subtypeFields.includes('rating')) subtypeRequest.input('rating', sql.Int, changes.rating);
+                    if (subtypeFields.includes('title')) subtypeRequest.input('title', sql.NVarChar(45), changes.title);
+                    if (subtypeFields.includes('list_id')) subtypeRequest.input('list_id', sql.Int, changes.list_id);
+
+                    await subtypeRequest.query(`
+                        UPDATE ${POST_TYPE_TABLES[postInfo.type]}
+                        SET ${subtypeFields.map((field) => `${field} = @${field}`).join(', ')}
+                        WHERE post_id = @post_id
+                    `);
+                }
+
+                // Step 7: Move the review to its new rating in the spot aggregates
+                if (changedFields.includes('rating')) {
+                    context.log('Updating spot rating statistics...');
+                    await applyReviewRatingChange(transaction, postInfo.spot_id, postInfo.rating, changes.rating);
+                }
+
+                await transaction.commit();
+                context.log('Post update committed successfully');
+
+                const updatedPost = { ...postInfo, ...changes };
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Post updated successfully',
+                        data: {
+                            post_id: postIdNum,
+                            type: postInfo.type,
+                            description: updatedPost.description,
+                            user_id: postInfo.user_id,
+                            created_date: postInfo.created_date,
+                            edited_date: updateResult.recordset[0].edited_date.toISOString(),
+                            ...(postInfo.type === 'review' && { spot_id: postInfo.spot_id, rating: updatedPost.rating }),
+                            ...(postInfo.type !== 'review' && { title: updatedPost.title, list_id: updatedPost.list_id }),
+                            changed_fields: changedFields
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR updating post:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to update post. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
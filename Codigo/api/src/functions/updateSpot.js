@@ -0,0 +1,250 @@
+const { app } = require('@azure/functions');
+const sql = require('mssql');
+const { getPool } = require('../shared/db');
+const { withAuth } = require('../shared/auth');
+const {
+    SPOT_REVISION_FIELDS,
+    validateSpotFields,
+    findDuplicateSpot,
+    getChangedSpotFields,
+    updateSpotFields,
+    recordSpotRevision
+} = require('../shared/spots');
+const { resolveCategoryOrError } = require('../shared/categories');
+
+/**
+ * HTTP Trigger Function for Updating Tourist Spots
+ * PUT /api/spots/{spotId}
+ *
+ * Partial update: only the fields sent are changed, null clears an optional field.
+ * Every change is stored in Spot_Revision (see GET /api/spots/{spotId}/revisions).
+ */
+app.http('updateSpot', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'spots/{spotId}',
+    handler: withAuth(async (request, context, auth) => {
+
+        context.log('Update spot request received');
+
+        try {
+            // Get spot ID from URL parameter
+            const spotIdNum = parseInt(request.params.spotId);
+            if (isNaN(spotIdNum) || spotIdNum <= 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Spot ID must be a positive integer'
+                    }
+                };
+            }
+
+            // Get request body
+            const requestBody = await request.json();
+            context.log('Request body:', requestBody);
+
+            if (!requestBody) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Request body is required'
+                    }
+                };
+            }
+
+            // Keep only the editable fields that were sent
+            const changes = {};
+            SPOT_REVISION_FIELDS.forEach((field) => {
+                if (requestBody[field] !== undefined) {
+                    changes[field] = requestBody[field];
+                }
+            });
+
+            if (Object.keys(changes).length === 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Nothing to update. Editable fields: ${SPOT_REVISION_FIELDS.join(', ')}`
+                    }
+                };
+            }
+
+            // Same rules as createSpot
+            const fieldsError = validateSpotFields(changes);
+            if (fieldsError) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: fieldsError
+                    }
+                };
+            }
+
+            // Coordinates are changed (or cleared) together
+            if ((changes.latitude === undefined) !== (changes.longitude === undefined)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'latitude and longitude must be updated together'
+                    }
+                };
+            }
+
+            // Connect to database
+            context.log('Connecting to database...');
+            const pool = await getPool();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                // Step 1: Get the current spot, locked until commit so concurrent edits don't overwrite each other
+                context.log('Getting current spot...');
+                const spotResult = await new sql.Request(transaction)
+                    .input('spot_id', sql.Int, spotIdNum)
+                    .query(`
+                        SELECT spot_id, ${SPOT_REVISION_FIELDS.join(', ')}
+                        FROM Spot WITH (UPDLOCK, ROWLOCK)
+                        WHERE spot_id = @spot_id
+                    `);
+
+                if (spotResult.recordset.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            success: false,
+                            error: `Spot with ID ${spotIdNum} not found`
+                        }
+                    };
+                }
+
+                const currentSpot = spotResult.recordset[0];
+
+                // Same category rules as createSpot ("beach" is stored as "Praia")
+                if (changes.category !== undefined) {
+                    const categoryResult = await resolveCategoryOrError(transaction, changes.category);
+                    if (categoryResult.error) {
+                        await transaction.rollback();
+                        return categoryResult.error;
+                    }
+                    changes.category = categoryResult.category;
+                }
+
+                const changedFields = getChangedSpotFields(currentSpot, changes);
+
+                if (changedFields.length === 0) {
+                    await transaction.rollback();
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            message: 'No changes: the spot already has these values',
+                            data: {
+                                spot_id: spotIdNum,
+                                changed_fields: []
+                            }
+                        }
+                    };
+                }
+
+                const updatedSpot = { ...currentSpot, ...changes };
+
+                // Step 2: Same duplicate rule as createSpot (same name in same city)
+                if (['spot_name', 'city', 'country'].some((field) => changedFields.includes(field))) {
+                    context.log('Checking for duplicate spots...');
+                    const duplicateSpotId = await findDuplicateSpot(transaction, updatedSpot, spotIdNum);
+
+                    if (duplicateSpotId) {
+                        await transaction.rollback();
+                        return {
+                            status: 409, // 409 = Conflict
+                            jsonBody: {
+                                success: false,
+                                error: `A spot named "${updatedSpot.spot_name}" already exists in ${updatedSpot.city}, ${updatedSpot.country}`,
+                                existing_spot_id: duplicateSpotId
+                            }
+                        };
+                    }
+                }
+
+                // Step 3: Check the new image exists
+                if (changedFields.includes('spot_image_id') && changes.spot_image_id !== null) {
+                    context.log('Validating image exists...');
+                    const imageResult = await new sql.Request(transaction)
+                        .input('image_id', sql.Int, changes.spot_image_id)
+                        .query('SELECT image_id FROM Images WHERE image_id = @image_id');
+
+                    if (imageResult.recordset.length === 0) {
+                        await transaction.rollback();
+                        return {
+                            status: 400,
+                            jsonBody: {
+                                success: false,
+                                error: `Image with ID ${changes.spot_image_id} does not exist`
+                            }
+                        };
+                    }
+                }
+
+                // Step 4: Write only the changed fields and record the new version
+                context.log(`Updating spot fields: ${changedFields.join(', ')}`);
+                const fieldsToWrite = {};
+                changedFields.forEach((field) => {
+                    fieldsToWrite[field] = changes[field];
+                });
+                await updateSpotFields(transaction, spotIdNum, fieldsToWrite);
+
+                const revisionNumber = await recordSpotRevision(transaction, spotIdNum, auth.user_id, 'update');
+
+                await transaction.commit();
+                context.log(`Spot ${spotIdNum} updated, revision ${revisionNumber}`);
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Spot updated successfully',
+                        data: {
+                            spot_id: spotIdNum,
+                            spot_name: updatedSpot.spot_name,
+                            country: updatedSpot.country,
+                            city: updatedSpot.city,
+                            category: updatedSpot.category,
+                            description: updatedSpot.description,
+                            spot_image_id: updatedSpot.spot_image_id,
+                            latitude: updatedSpot.latitude,
+                            longitude: updatedSpot.longitude,
+                            changed_fields: changedFields,
+                            revision_number: revisionNumber
+                        }
+                    }
+                };
+
+            } catch (dbError) {
+                await transaction.rollback();
+                context.log('Transaction rolled back due to error:', dbError);
+                throw dbError;
+            }
+
+        } catch (error) {
+            context.log('ERROR updating spot:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to update spot. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+    })
+});
\ No newline at end of file
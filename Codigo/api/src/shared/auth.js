@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const sql = require('mssql');
+const { getPool } = require('./db');
+
+// Google publishes the certificates used to sign Firebase ID tokens here
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Tolerance for clock differences between Firebase and our servers
+const CLOCK_SKEW_SECONDS = 60;
+
+// Fallback cache lifetime when the certificate response has no max-age
+const DEFAULT_KEYS_CACHE_SECONDS = 3600;
+
+// Users.role values allowed to moderate other users' content
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+let cachedKeys = null;
+let cachedKeysExpireAt = 0;
+
+/**
+ * Error thrown when a request cannot be authenticated
+ * Carries the HTTP status that should be returned to the client
+ */
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+/**
+ * Wraps an HTTP handler so it only runs for authenticated callers
+ * The handler receives the caller's identity as a third argument:
+ *   handler(request, context, auth)
+ *
+ * Options:
+ * - optional: let requests without a token through (auth will be null)
+ * - requireUser: reject tokens whose firebase_uid has no Users row yet
+ */
+function withAuth(handler, options = {}) {
+    const { optional = false, requireUser = true } = options;
+
+    return async (request, context) => {
+        let auth;
+
+        try {
+            auth = await authenticateRequest(request, { requireUser });
+        } catch (error) {
+            if (error instanceof AuthError) {
+                context.log(`Authentication failed: ${error.message}`);
+                return {
+                    status: error.status,
+                    headers: error.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : undefined,
+                    jsonBody: {
+                        success: false,
+                        error: error.message
+                    }
+                };
+            }
+
+            context.log('ERROR authenticating request:', error.message);
+            context.log('Full error details:', error);
+
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Internal server error',
+                    message: 'Failed to authenticate request. Please try again.',
+                    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+                }
+            };
+        }
+
+        if (!auth && !optional) {
+            return {
+                status: 401,
+                headers: { 'WWW-Authenticate': 'Bearer' },
+                jsonBody: {
+                    success: false,
+                    error: 'Authorization header with a Firebase ID token is required'
+                }
+            };
+        }
+
+        if (auth) {
+            context.log(`Authenticated firebase_uid ${auth.firebase_uid} (user_id: ${auth.user_id})`);
+        }
+
+        return handler(request, context, auth);
+    };
+}
+
+/**
+ * Validates the Bearer token of a request and resolves the caller
+ * Returns null when the request carries no Authorization header
+ */
+async function authenticateRequest(request, options = {}) {
+    const { requireUser = true } = options;
+
+    const token = getBearerToken(request);
+    if (!token) {
+        return null;
+    }
+
+    const claims = await verifyFirebaseToken(token);
+    const user = await findUserByFirebaseUid(claims.sub);
+
+    if (!user && requireUser) {
+        throw new AuthError('User is not registered. Call POST /api/users/sync-firebase first.', 403);
+    }
+
+    return {
+        user_id: user ? user.user_id : null,
+        username: user ? user.username : null,
+        display_name: user ? user.display_name : null,
+        role: user ? user.role : null,
+        firebase_uid: claims.sub,
+        email: claims.email || null,
+        email_verified: claims.email_verified === true,
+        claims
+    };
+}
+
+/**
+ * Checks if the authenticated caller can moderate content
+ */
+function isModerator(auth) {
+    return auth !== null && auth !== undefined && MODERATOR_ROLES.includes(auth.role);
+}
+
+/**
+ * Extracts the token from an "Authorization: Bearer <token>" header
+ */
+function getBearerToken(request) {
+    const header = request.headers.get('authorization');
+    if (!header) {
+        return null;
+    }
+
+    const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+    if (!match) {
+        throw new AuthError('Authorization header must use the Bearer scheme');
+    }
+
+    return match[1];
+}
+
+/**
+ * Verifies a Firebase ID token and returns its claims
+ * Follows https://firebase.google.com/docs/auth/admin/verify-id-tokens
+ */
+async function verifyFirebaseToken(token) {
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    if (!projectId) {
+        throw new Error('FIREBASE_PROJECT_ID is not configured');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new AuthError('Malformed ID token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader);
+    const claims = decodeSegment(encodedPayload);
+
+    if (header.alg !== 'RS256') {
+        throw new AuthError('ID token must be signed with RS256');
+    }
+
+    const keys = await getPublicKeys();
+    const key = typeof header.kid === 'string' && Object.prototype.hasOwnProperty.call(keys, header.kid)
+        ? keys[header.kid]
+        : null;
+    if (!key) {
+        throw new AuthError('ID token was signed with an unknown key');
+    }
+
+    const signatureValid = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        key,
+        Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!signatureValid) {
+        throw new AuthError('ID token signature is invalid');
+    }
+
+    // Validate the claims only after the signature is trusted
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+        throw new AuthError('ID token has expired');
+    }
+
+    if (typeof claims.iat !== 'number' || claims.iat - CLOCK_SKEW_SECONDS > now) {
+        throw new AuthError('ID token was issued in the future');
+    }
+
+    if (claims.auth_time !== undefined && claims.auth_time - CLOCK_SKEW_SECONDS > now) {
+        throw new AuthError('ID token has an invalid auth_time');
+    }
+
+    if (claims.aud !== projectId) {
+        throw new AuthError('ID token has an invalid audience');
+    }
+
+    if (claims.iss !== `https://securetoken.google.com/${projectId}`) {
+        throw new AuthError('ID token has an invalid issuer');
+    }
+
+    if (typeof claims.sub !== 'string' || claims.sub.length === 0 || claims.sub.length > 128) {
+        throw new AuthError('ID token has an invalid subject');
+    }
+
+    return claims;
+}
+
+/**
+ * Decodes a base64url JWT segment into an object
+ * Anything but a JSON object (null, an array, a number...) is a malformed token
+ */
+function decodeSegment(segment) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthError('Malformed ID token');
+    }
+
+    if (decoded === null || typeof decoded !== 'object' || Array.isArray(decoded)) {
+        throw new AuthError('Malformed ID token');
+    }
+
+    return decoded;
+}
+
+/**
+ * Returns the signing keys as { kid: KeyObject }
+ *
+ * FIREBASE_PUBLIC_KEYS (a JSON object of kid -> PEM certificate or public key)
+ * takes precedence, so tokens signed with self-signed keys can be verified offline.
+ * Otherwise the keys are downloaded from FIREBASE_PUBLIC_KEYS_URL (defaults to
+ * Google's endpoint) and cached for as long as its Cache-Control allows.
+ */
+async function getPublicKeys() {
+    if (process.env.FIREBASE_PUBLIC_KEYS) {
+        let configured;
+        try {
+            configured = JSON.parse(process.env.FIREBASE_PUBLIC_KEYS);
+        } catch (error) {
+            throw new Error('FIREBASE_PUBLIC_KEYS must be a JSON object of kid -> PEM');
+        }
+        return toKeyObjects(configured);
+    }
+
+    if (cachedKeys && Date.now() < cachedKeysExpireAt) {
+        return cachedKeys;
+    }
+
+    const response = await fetch(process.env.FIREBASE_PUBLIC_KEYS_URL || GOOGLE_CERTS_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to download Firebase public keys (HTTP ${response.status})`);
+    }
+
+    const cacheControl = response.headers.get('cache-control') || '';
+    const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
+    const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1]) : DEFAULT_KEYS_CACHE_SECONDS;
+
+    cachedKeys = toKeyObjects(await response.json());
+    cachedKeysExpireAt = Date.now() + maxAge * 1000;
+
+    return cachedKeys;
+}
+
+/**
+ * Converts a kid -> PEM map into kid -> KeyObject
+ */
+function toKeyObjects(pemByKid) {
+    // No prototype: a kid like "constructor" must not resolve to an inherited property
+    const keys = Object.create(null);
+    Object.entries(pemByKid).forEach(([kid, pem]) => {
+        // createPublicKey accepts both X.509 certificates and SPKI public keys
+        keys[kid] = crypto.createPublicKey(pem.replace(/\\n/g, '\n'));
+    });
+    return keys;
+}
+
+/**
+ * Looks up the Users row maintained by syncFirebaseUser
+ */
+async function findUserByFirebaseUid(firebaseUid) {
+    const pool = await getPool();
+
+    const result = await new sql.Request(pool)
+        .input('firebase_uid', sql.NVarChar(128), firebaseUid)
+        .query(`
+            SELECT user_id, username, display_name, role
+            FROM Users
+            WHERE firebase_uid = @firebase_uid
+        `);
+
+    return result.recordset[0] || null;
+}
+
+module.exports = {
+    AuthError,
+    withAuth,
+    authenticateRequest,
+    verifyFirebaseToken,
+    isModerator
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+
+// Image rules shared by upload-url issuing and registration
+const ALLOWED_IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic',
+    'image/heif': 'heif'
+};
+
+const DEFAULT_MAX_IMAGE_BYTES = 10 * 1024 * 1024; // Same 10MB limit as the app
+const DEFAULT_UPLOAD_URL_TTL_MINUTES = 15;
+
+// Blobs are stored as uploads/{user_id}/{uuid}.{ext}
+const UPLOADS_PREFIX = 'uploads';
+
+let containerPromise = null;
+
+/**
+ * Returns the images container client, creating the container on first use
+ *
+ * AZURE_STORAGE_CONNECTION_STRING must hold an account key (or
+ * "UseDevelopmentStorage=true" for the Azurite emulator), since the key
+ * is what signs the SAS upload URLs.
+ */
+async function getImagesContainer() {
+    if (!containerPromise) {
+        containerPromise = createContainerClient().catch((error) => {
+            // Don't cache a failed attempt
+            containerPromise = null;
+            throw error;
+        });
+    }
+
+    return containerPromise;
+}
+
+async function createContainerClient() {
+    const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connectionString) {
+        throw new Error('AZURE_STORAGE_CONNECTION_STRING is not configured');
+    }
+
+    const serviceClient = BlobServiceClient.fromConnectionString(connectionString);
+    const containerClient = serviceClient.getContainerClient(process.env.IMAGES_CONTAINER_NAME || 'images');
+
+    // Blob-level public read: the app loads images straight from blob_url
+    await containerClient.createIfNotExists({ access: 'blob' });
+
+    return containerClient;
+}
+
+/**
+ * Issues a write-only SAS URL for a new blob owned by the user
+ */
+async function createUploadUrl(userId, contentType) {
+    const containerClient = await getImagesContainer();
+
+    const blobName = `${UPLOADS_PREFIX}/${userId}/${crypto.randomUUID()}.${ALLOWED_IMAGE_TYPES[contentType]}`;
+    const blobClient = containerClient.getBlockBlobClient(blobName);
+
+    const expiresOn = new Date(Date.now() + getUploadUrlTtlMinutes() * 60 * 1000);
+    const uploadUrl = await blobClient.generateSasUrl({
+        permissions: BlobSASPermissions.parse('cw'), // Create + write only, no read/delete
+        startsOn: new Date(Date.now() - 5 * 60 * 1000), // Tolerate client clock skew
+        expiresOn
+    });
+
+    return {
+        uploadUrl,
+        blobUrl: blobClient.url,
+        blobName,
+        expiresOn
+    };
+}
+
+/**
+ * Resolves a blob URL to a blob in our images container
+ * Returns null when the URL points anywhere else, or isn't a plain blob URL: a query string
+ * (the SAS uploadUrl carries a write token), a fragment, a bad escape or a path with
+ * empty, "." or ".." segments (encoded as %2F they would survive URL parsing).
+ * blobClient.url is the canonical URL of the blob, the one to store.
+ */
+async function getBlobFromUrl(blobUrl) {
+    const containerClient = await getImagesContainer();
+
+    if (blobUrl.includes('?') || blobUrl.includes('#')) {
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(blobUrl);
+    } catch (error) {
+        return null;
+    }
+
+    const containerPrefix = `${new URL(containerClient.url).pathname}/`;
+    if (url.origin !== new URL(containerClient.url).origin || !url.pathname.startsWith(containerPrefix)) {
+        return null;
+    }
+
+    let blobName;
+    try {
+        blobName = decodeURIComponent(url.pathname.slice(containerPrefix.length));
+    } catch (error) {
+        return null; // URIError: malformed escape such as %E0
+    }
+
+    if (blobName.includes('\\') || blobName.split('/').some((segment) => ['', '.', '..'].includes(segment))) {
+        return null;
+    }
+
+    return {
+        blobName,
+        blobClient: containerClient.getBlockBlobClient(blobName)
+    };
+}
+
+/**
+ * Checks a blob name was issued to the given user by createUploadUrl
+ */
+function isBlobOwnedBy(blobName, userId) {
+    return blobName.startsWith(`${UPLOADS_PREFIX}/${userId}/`);
+}
+
+/**
+ * Content types accepted for images
+ */
+function isAllowedImageType(contentType) {
+    return Object.prototype.hasOwnProperty.call(ALLOWED_IMAGE_TYPES, contentType);
+}
+
+function getMaxImageBytes() {
+    return parseInt(process.env.IMAGE_UPLOAD_MAX_BYTES) || DEFAULT_MAX_IMAGE_BYTES;
+}
+
+function getUploadUrlTtlMinutes() {
+    return parseInt(process.env.IMAGE_UPLOAD_URL_TTL_MINUTES) || DEFAULT_UPLOAD_URL_TTL_MINUTES;
+}
+
+module.exports = {
+    ALLOWED_IMAGE_TYPES,
+    createUploadUrl,
+    getBlobFromUrl,
+    isBlobOwnedBy,
+    isAllowedImageType,
+    getMaxImageBytes
+};
@@ -0,0 +1,87 @@
+const sql = require('mssql');
+
+// Case and accent insensitive: "praia", "PRAIA" and "Centro Historico" all match a category
+const CATEGORY_COLLATION = 'Latin1_General_CI_AI';
+
+/**
+ * Finds the category a request value refers to
+ * Matches the pt-BR name (the value stored in Spot.category) or the English label,
+ * ignoring case and accents: "beach", "Praia" and "PRAIA" all resolve to "Praia".
+ * Returns the category_name, or null when the value isn't in Spot_Category
+ */
+async function resolveCategory(poolOrTransaction, value) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        return null;
+    }
+
+    const result = await new sql.Request(poolOrTransaction)
+        .input('value', sql.NVarChar(30), value.trim())
+        .query(`
+            SELECT TOP 1 category_name
+            FROM Spot_Category
+            WHERE category_name = @value COLLATE ${CATEGORY_COLLATION}
+            OR label_en = @value COLLATE ${CATEGORY_COLLATION}
+            ORDER BY CASE WHEN category_name = @value COLLATE ${CATEGORY_COLLATION} THEN 0 ELSE 1 END
+        `);
+
+    return result.recordset[0]?.category_name || null;
+}
+
+/**
+ * All category names, parents first, for error messages
+ */
+async function getCategoryNames(poolOrTransaction) {
+    const result = await new sql.Request(poolOrTransaction)
+        .query(`
+            SELECT category_name
+            FROM Spot_Category
+            ORDER BY CASE WHEN parent_category IS NULL THEN 0 ELSE 1 END, category_name
+        `);
+
+    return result.recordset.map((row) => row.category_name);
+}
+
+/**
+ * Same as resolveCategory, but returns a 400 response for unknown values
+ * Returns { category } or { error: <http response> }
+ */
+async function resolveCategoryOrError(poolOrTransaction, value) {
+    const category = await resolveCategory(poolOrTransaction, value);
+    if (category) {
+        return { category };
+    }
+
+    const validCategories = await getCategoryNames(poolOrTransaction);
+    return {
+        error: {
+            status: 400,
+            jsonBody: {
+                success: false,
+                error: `Invalid category "${value}". Valid options: ${validCategories.join(', ')}`,
+                suggestion: 'GET /api/spots/categories lists every category'
+            }
+        }
+    };
+}
+
+/**
+ * SQL condition matching the spots of a category (and of its subcategories)
+ * for a request value bound as paramName, matched like resolveCategory
+ */
+function categoryFilterSql(spotAlias, paramName) {
+    return `${spotAlias}.category IN (
+            SELECT c.category_name
+            FROM Spot_Category c
+            INNER JOIN Spot_Category m
+                ON c.category_name = m.category_name OR c.parent_category = m.category_name
+            WHERE m.category_name = @${paramName} COLLATE ${CATEGORY_COLLATION}
+            OR m.label_en = @${paramName} COLLATE ${CATEGORY_COLLATION}
+        )`;
+}
+
+module.exports = {
+    resolveCategory,
+    resolveCategoryOrError,
+    getCategoryNames,
+    categoryFilterSql
+};
@@ -0,0 +1,137 @@
+const sql = require('mssql');
+
+// Database configuration
+// These values come from your local.settings.json file
+const dbConfig = {
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    server: process.env.DB_SERVER,
+    database: process.env.DB_DATABASE,
+    options: {
+        encrypt: true, // Required for Azure SQL
+        trustServerCertificate: false
+    },
+    pool: {
+        max: parseInt(process.env.DB_POOL_MAX) || 10,
+        min: 0,
+        idleTimeoutMillis: 30000
+    }
+};
+
+// Shared by every invocation running in this worker process.
+// Holding the connect() promise (not the pool) means concurrent cold
+// requests wait for the same connection instead of opening several.
+let poolPromise = null;
+
+// Errors emitted by the pool's connections since the last time they were logged.
+// The pool has no function context, so they're logged by the next caller that passes one.
+// Only the most recent ones are kept.
+const MAX_PENDING_POOL_ERRORS = 20;
+let pendingPoolErrors = [];
+
+/**
+ * Returns the shared connection pool, creating it on first use
+ *
+ * Handlers must NOT close the returned pool: it outlives the request.
+ * A pool that was closed or never finished connecting is discarded and a new one is created.
+ * Pass the function context to have pool errors logged with the invocation.
+ */
+async function getPool(context) {
+    if (context) {
+        logPendingPoolErrors(context);
+    }
+
+    if (poolPromise) {
+        const pool = await poolPromise;
+        if (pool.connected) {
+            return pool;
+        }
+
+        // The pool was closed or never finished connecting
+        await resetPool(pool);
+    }
+
+    if (!poolPromise) {
+        poolPromise = createPool();
+    }
+
+    return poolPromise;
+}
+
+/**
+ * Creates and connects a new pool
+ */
+function createPool() {
+    const pool = new sql.ConnectionPool(dbConfig);
+
+    // Errors from idle connections are emitted here instead of thrown.
+    // mssql destroys and replaces the broken connection: the pool and the
+    // requests running on its other connections carry on.
+    pool.on('error', (error) => {
+        pendingPoolErrors = [...pendingPoolErrors, error.message].slice(-MAX_PENDING_POOL_ERRORS);
+    });
+
+    return pool.connect().catch((error) => {
+        // Don't cache a failed connection attempt
+        poolPromise = null;
+        throw error;
+    });
+}
+
+function logPendingPoolErrors(context) {
+    pendingPoolErrors.forEach((message) => {
+        context.log('Database pool connection error (connection replaced):', message);
+    });
+    pendingPoolErrors = [];
+}
+
+/**
+ * Discards the shared pool if it is still the given one
+ */
+async function resetPool(pool) {
+    if (poolPromise && (await poolPromise.catch(() => null)) === pool) {
+        poolPromise = null;
+    }
+
+    try {
+        await pool.close();
+    } catch (error) {
+        // The pool is being discarded anyway
+    }
+}
+
+/**
+ * Runs a trivial query to check the database is reachable
+ * A failing query only reports unhealthy: the shared pool stays open, closing it would
+ * fail every request running on it. getPool() replaces it only if connecting failed.
+ */
+async function checkHealth(context) {
+    const startedAt = Date.now();
+
+    try {
+        const pool = await getPool(context);
+        await new sql.Request(pool).query('SELECT 1 AS ok');
+
+        return {
+            healthy: true,
+            latency_ms: Date.now() - startedAt,
+            pool: {
+                size: pool.size,
+                available: pool.available,
+                borrowed: pool.borrowed,
+                pending: pool.pending
+            }
+        };
+    } catch (error) {
+        return {
+            healthy: false,
+            latency_ms: Date.now() - startedAt,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    getPool,
+    checkHealth
+};
@@ -0,0 +1,82 @@
+// Mean Earth radius, used by the great-circle (haversine) distance
+const EARTH_RADIUS_KM = 6371.0;
+
+// Length of one degree of latitude
+const KM_PER_DEGREE = 111.045;
+
+/**
+ * Validates a latitude/longitude pair from a request body
+ * Both are optional, but must be sent together
+ * Returns an error message, or null when the pair is valid
+ */
+function validateCoordinates(latitude, longitude) {
+    const hasLatitude = latitude !== undefined && latitude !== null;
+    const hasLongitude = longitude !== undefined && longitude !== null;
+
+    if (hasLatitude !== hasLongitude) {
+        return 'latitude and longitude must be provided together';
+    }
+
+    if (!hasLatitude) {
+        return null;
+    }
+
+    if (typeof latitude !== 'number' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        return 'latitude must be a number between -90 and 90';
+    }
+
+    if (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return 'longitude must be a number between -180 and 180';
+    }
+
+    return null;
+}
+
+/**
+ * Box around a point that contains every point within radiusKm
+ * Cheap to check with an index before computing real distances.
+ *
+ * Returns { minLat, maxLat, minLng, maxLng, wrapsLongitude }, where
+ * wrapsLongitude means the box crosses the 180° meridian
+ * (longitude >= minLng OR longitude <= maxLng), and all longitudes
+ * match when the box reaches a pole.
+ */
+function getBoundingBox(latitude, longitude, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const minLat = Math.max(latitude - latDelta, -90);
+    const maxLat = Math.min(latitude + latDelta, 90);
+
+    if (minLat === -90 || maxLat === 90) {
+        return { minLat, maxLat, minLng: -180, maxLng: 180, wrapsLongitude: false };
+    }
+
+    // Widest longitude reached by the circle: asin(sin(d) / cos(lat)), d the angular radius.
+    // (radius / km-per-degree-of-longitude is too narrow far from the equator)
+    const angularRadius = radiusKm / EARTH_RADIUS_KM;
+    const ratio = Math.sin(angularRadius) / Math.cos(latitude * Math.PI / 180);
+    if (angularRadius >= Math.PI / 2 || ratio >= 1) {
+        return { minLat, maxLat, minLng: -180, maxLng: 180, wrapsLongitude: false };
+    }
+
+    const lngDelta = Math.asin(ratio) * 180 / Math.PI;
+
+    let minLng = longitude - lngDelta;
+    let maxLng = longitude + lngDelta;
+    let wrapsLongitude = false;
+
+    if (minLng < -180) {
+        minLng += 360;
+        wrapsLongitude = true;
+    } else if (maxLng > 180) {
+        maxLng -= 360;
+        wrapsLongitude = true;
+    }
+
+    return { minLat, maxLat, minLng, maxLng, wrapsLongitude };
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    validateCoordinates,
+    getBoundingBox
+};
\ No newline at end of file
@@ -0,0 +1,227 @@
+const sql = require('mssql');
+
+// List.list_name is NVARCHAR(45)
+const LIST_NAME_MAX_LENGTH = 45;
+const LIST_NAME_MIN_LENGTH = 3;
+
+// Words a list name can't contain
+const INAPPROPRIATE_LIST_WORDS = ['spam', 'test123', 'asdf'];
+
+// List_has_Spot.note is NVARCHAR(500)
+const LIST_SPOT_NOTE_MAX_LENGTH = 500;
+
+// Owner's details of a spot in a list, editable with PUT /api/lists/{id}/spots/{spotId}
+const LIST_SPOT_FIELDS = ['note', 'visited', 'visited_date', 'planned_date', 'list_thumbnail_id'];
+
+/**
+ * Validates list fields from a request body (used by create and update)
+ * Only the fields present in the object are checked, so it works for partial updates.
+ * Returns an error message, or null when the fields are valid
+ */
+function validateListFields(fields) {
+    if (fields.list_name !== undefined) {
+        if (typeof fields.list_name !== 'string' || fields.list_name.trim().length === 0) {
+            return 'list_name cannot be empty or just whitespace';
+        }
+
+        if (fields.list_name.length > LIST_NAME_MAX_LENGTH) {
+            return `list_name must be ${LIST_NAME_MAX_LENGTH} characters or less`;
+        }
+
+        const validation = isValidListName(fields.list_name);
+        if (!validation.valid) {
+            return validation.error;
+        }
+    }
+
+    if (fields.is_public !== undefined && fields.is_public !== null && typeof fields.is_public !== 'boolean') {
+        return 'is_public must be a boolean (true or false)';
+    }
+
+    return null;
+}
+
+/**
+ * Helper function to validate list name content
+ */
+function isValidListName(name) {
+    const trimmed = name.trim();
+
+    // Check minimum length
+    if (trimmed.length < LIST_NAME_MIN_LENGTH) {
+        return { valid: false, error: `List name must be at least ${LIST_NAME_MIN_LENGTH} characters long` };
+    }
+
+    // Check for inappropriate content (basic example)
+    if (INAPPROPRIATE_LIST_WORDS.some(word => trimmed.toLowerCase().includes(word))) {
+        return { valid: false, error: 'List name contains inappropriate content' };
+    }
+
+    // Check for only special characters
+    if (!/[a-zA-Z0-9]/.test(trimmed)) {
+        return { valid: false, error: 'List name must contain at least one letter or number' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validates the details of a spot in a list from a request body
+ * Only the fields present in the object are checked; null clears a field.
+ * Dates are calendar days (YYYY-MM-DD), without time or time zone.
+ * Returns an error message, or null when the fields are valid
+ */
+function validateListSpotFields(fields) {
+    if (fields.note !== undefined && fields.note !== null) {
+        if (typeof fields.note !== 'string' || fields.note.length > LIST_SPOT_NOTE_MAX_LENGTH) {
+            return `note must be a string of ${LIST_SPOT_NOTE_MAX_LENGTH} characters or less`;
+        }
+    }
+
+    if (fields.visited !== undefined && typeof fields.visited !== 'boolean') {
+        return 'visited must be a boolean (true or false)';
+    }
+
+    for (const field of ['visited_date', 'planned_date']) {
+        if (fields[field] !== undefined && fields[field] !== null && !isValidDateOnly(fields[field])) {
+            return `${field} must be a date in the format YYYY-MM-DD`;
+        }
+    }
+
+    if (fields.visited === false && fields.visited_date !== undefined && fields.visited_date !== null) {
+        return 'visited_date can only be set on a visited spot';
+    }
+
+    if (fields.list_thumbnail_id !== undefined && fields.list_thumbnail_id !== null) {
+        if (!Number.isInteger(fields.list_thumbnail_id) || fields.list_thumbnail_id <= 0) {
+            return 'list_thumbnail_id must be a positive integer';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Helper function to check a YYYY-MM-DD string is a real day (2025-02-30 is not)
+ */
+function isValidDateOnly(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Formats a DATE column (read by mssql as midnight UTC) as YYYY-MM-DD, or null
+ */
+function formatDateOnly(date) {
+    return date ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Helper function to validate list permissions: only the owner can change a list
+ * Lists without an owner (created before ownership existed) are read-only
+ */
+function canUserModifyList(userId, listOwnerId) {
+    return listOwnerId !== null && listOwnerId !== undefined && userId === listOwnerId;
+}
+
+/**
+ * Checks that a community post can share a list: it must exist and be public
+ * The list row stays locked until commit, so PUT /api/lists/{id} can't make it private meanwhile.
+ * Returns { error: <http response> } or {}
+ */
+async function checkCommunityPostList(transaction, listId) {
+    const result = await new sql.Request(transaction)
+        .input('list_id', sql.Int, listId)
+        .query('SELECT list_id, is_public FROM List WITH (UPDLOCK, ROWLOCK) WHERE list_id = @list_id');
+
+    if (result.recordset.length === 0) {
+        return {
+            error: {
+                status: 400,
+                jsonBody: {
+                    success: false,
+                    error: `List with ID ${listId} does not exist`
+                }
+            }
+        };
+    }
+
+    if (!result.recordset[0].is_public) {
+        return {
+            error: {
+                status: 409,
+                jsonBody: {
+                    success: false,
+                    error: `List with ID ${listId} is private, community posts can only share public lists`
+                }
+            }
+        };
+    }
+
+    return {};
+}
+
+/**
+ * Makes room for a spot at a 1-based position of the list and returns the position it gets
+ * A position past the end (or none) appends the spot, like Array.splice.
+ * The caller must hold a lock on the List row, so two additions don't get the same position.
+ */
+async function reserveListPosition(transaction, listId, position = null) {
+    const result = await new sql.Request(transaction)
+        .input('list_id', sql.Int, listId)
+        .input('position', sql.Int, position)
+        .query(`
+            DECLARE @next_position INT = (
+                SELECT COALESCE(MAX(position), 0) + 1 FROM List_has_Spot WHERE list_id = @list_id
+            );
+            DECLARE @reserved INT = CASE
+                WHEN @position IS NULL OR @position > @next_position THEN @next_position
+                ELSE @position
+            END;
+
+            UPDATE List_has_Spot
+            SET position = position + 1
+            WHERE list_id = @list_id AND position >= @reserved;
+
+            SELECT @reserved AS position;
+        `);
+
+    return result.recordset[0].position;
+}
+
+/**
+ * Renumbers the spots of a list as 1..n, keeping their order (used after removing spots)
+ */
+async function compactListPositions(transaction, listId) {
+    await new sql.Request(transaction)
+        .input('list_id', sql.Int, listId)
+        .query(`
+            WITH ordered AS (
+                SELECT position,
+                       ROW_NUMBER() OVER (ORDER BY position, created_date, spot_id) AS new_position
+                FROM List_has_Spot
+                WHERE list_id = @list_id
+            )
+            UPDATE ordered
+            SET position = new_position
+            WHERE position <> new_position
+        `);
+}
+
+module.exports = {
+    LIST_NAME_MAX_LENGTH,
+    LIST_SPOT_FIELDS,
+    validateListFields,
+    isValidListName,
+    validateListSpotFields,
+    isValidDateOnly,
+    formatDateOnly,
+    canUserModifyList,
+    checkCommunityPostList,
+    reserveListPosition,
+    compactListPositions
+};
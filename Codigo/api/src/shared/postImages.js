@@ -0,0 +1,190 @@
+const sql = require('mssql');
+
+// A post gallery holds at most this many images
+const MAX_POST_IMAGES = 10;
+
+/**
+ * Validates an image_ids array from a request body
+ * Returns an error message, or null when the array is valid
+ */
+function validateImageIds(imageIds) {
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+        return 'image_ids must be a non-empty array of image IDs';
+    }
+
+    if (imageIds.length > MAX_POST_IMAGES) {
+        return `A post can have at most ${MAX_POST_IMAGES} images`;
+    }
+
+    if (!imageIds.every((id) => Number.isInteger(id) && id > 0)) {
+        return 'image_ids must only contain positive integers';
+    }
+
+    if (new Set(imageIds).size !== imageIds.length) {
+        return 'image_ids must not contain duplicates';
+    }
+
+    return null;
+}
+
+/**
+ * Returns the IDs that don't exist or weren't uploaded by the user
+ * (only the uploader can attach an image to a post)
+ */
+async function findUnusableImageIds(transaction, imageIds, userId) {
+    const result = await new sql.Request(transaction)
+        .input('image_ids', sql.NVarChar(sql.MAX), JSON.stringify(imageIds))
+        .input('user_id', sql.Int, userId)
+        .query(`
+            SELECT image_id
+            FROM Images
+            WHERE image_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@image_ids))
+              AND uploaded_by_user_id = @user_id
+        `);
+
+    const usable = new Set(result.recordset.map((row) => row.image_id));
+    return imageIds.filter((id) => !usable.has(id));
+}
+
+/**
+ * Appends images to the end of a post gallery, in the given order
+ * The thumbnail becomes thumbnailImageId, or the first image when the post has none
+ */
+async function attachImagesToPost(transaction, postId, imageIds, thumbnailImageId) {
+    await new sql.Request(transaction)
+        .input('post_id', sql.Int, postId)
+        .input('image_ids', sql.NVarChar(sql.MAX), JSON.stringify(imageIds))
+        .query(`
+            DECLARE @last_order INT = (
+                SELECT COALESCE(MAX(image_order), 0) FROM Post_Images WHERE post_id = @post_id
+            );
+
+            INSERT INTO Post_Images (post_id, image_id, image_order, is_thumbnail)
+            SELECT @post_id, CAST(value AS INT), @last_order + CAST([key] AS INT) + 1, 0
+            FROM OPENJSON(@image_ids)
+        `);
+
+    if (thumbnailImageId) {
+        await setPostThumbnail(transaction, postId, thumbnailImageId);
+    } else {
+        await ensurePostThumbnail(transaction, postId);
+    }
+}
+
+/**
+ * Makes one image the post thumbnail
+ * The old thumbnail is cleared first: IX_Post_Images_Unique_Thumbnail allows one per post
+ */
+async function setPostThumbnail(transaction, postId, imageId) {
+    await new sql.Request(transaction)
+        .input('post_id', sql.Int, postId)
+        .input('image_id', sql.Int, imageId)
+        .query(`
+            UPDATE Post_Images
+            SET is_thumbnail = 0
+            WHERE post_id = @post_id AND is_thumbnail = 1 AND image_id <> @image_id;
+
+            UPDATE Post_Images
+            SET is_thumbnail = 1
+            WHERE post_id = @post_id AND image_id = @image_id;
+        `);
+}
+
+/**
+ * Renumbers the gallery as 1..n and makes the first image the thumbnail
+ * if the post lost its thumbnail (used after removing images)
+ */
+async function compactPostImages(transaction, postId) {
+    await new sql.Request(transaction)
+        .input('post_id', sql.Int, postId)
+        .query(`
+            WITH ordered AS (
+                SELECT image_order,
+                       ROW_NUMBER() OVER (ORDER BY image_order, created_date) AS new_order
+                FROM Post_Images
+                WHERE post_id = @post_id
+            )
+            UPDATE ordered
+            SET image_order = new_order
+            WHERE image_order <> new_order
+        `);
+
+    await ensurePostThumbnail(transaction, postId);
+}
+
+async function ensurePostThumbnail(transaction, postId) {
+    await new sql.Request(transaction)
+        .input('post_id', sql.Int, postId)
+        .query(`
+            IF NOT EXISTS (SELECT 1 FROM Post_Images WHERE post_id = @post_id AND is_thumbnail = 1)
+            BEGIN
+                WITH first_image AS (
+                    SELECT TOP 1 is_thumbnail
+                    FROM Post_Images
+                    WHERE post_id = @post_id
+                    ORDER BY image_order
+                )
+                UPDATE first_image SET is_thumbnail = 1;
+            END
+        `);
+}
+
+/**
+ * Loads the ordered galleries of several posts in one query
+ * Returns a Map of post_id => [images]
+ */
+async function getPostGalleries(poolOrTransaction, postIds) {
+    const galleries = new Map();
+    if (postIds.length === 0) {
+        return galleries;
+    }
+
+    const result = await new sql.Request(poolOrTransaction)
+        .input('post_ids', sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+        .query(`
+            SELECT
+                pi.post_id, pi.image_id, pi.image_order, pi.is_thumbnail,
+                i.image_name, i.blob_url, i.thumbnail_url, i.content_type
+            FROM Post_Images pi
+            INNER JOIN Images i ON pi.image_id = i.image_id
+            WHERE pi.post_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@post_ids))
+            ORDER BY pi.post_id, pi.image_order
+        `);
+
+    for (const row of result.recordset) {
+        if (!galleries.has(row.post_id)) {
+            galleries.set(row.post_id, []);
+        }
+
+        galleries.get(row.post_id).push({
+            image_id: row.image_id,
+            image_order: row.image_order,
+            is_thumbnail: Boolean(row.is_thumbnail),
+            image_name: row.image_name,
+            blob_url: row.blob_url,
+            thumbnail_url: row.thumbnail_url,
+            content_type: row.content_type
+        });
+    }
+
+    return galleries;
+}
+
+/**
+ * Loads the ordered gallery of one post
+ */
+async function getPostGallery(poolOrTransaction, postId) {
+    const galleries = await getPostGalleries(poolOrTransaction, [postId]);
+    return galleries.get(postId) || [];
+}
+
+module.exports = {
+    MAX_POST_IMAGES,
+    validateImageIds,
+    findUnusableImageIds,
+    attachImagesToPost,
+    setPostThumbnail,
+    compactPostImages,
+    getPostGalleries,
+    getPostGallery
+};
\ No newline at end of file
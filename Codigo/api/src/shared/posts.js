@@ -0,0 +1,81 @@
+const sql = require('mssql');
+
+const POST_TYPES = ['review', 'community', 'list'];
+
+// Fields stored in each subtype table (Review_Post, Community_Post, List_Post)
+const POST_TYPE_FIELDS = {
+    review: ['rating'],
+    community: ['title', 'list_id'],
+    list: ['title', 'list_id']
+};
+
+/**
+ * Validates post fields from a request body (used by create and update)
+ * Only the fields present in the object are checked.
+ * Returns an error message, or null when the fields are valid
+ */
+function validatePostFields(fields) {
+    if (fields.description !== undefined && fields.description !== null) {
+        if (typeof fields.description !== 'string' || fields.description.length > 500) {
+            return 'description must be a string of 500 characters or less';
+        }
+    }
+
+    if (fields.rating !== undefined) {
+        if (!Number.isInteger(fields.rating) || fields.rating < 1 || fields.rating > 5) {
+            return 'Rating must be between 1 and 5';
+        }
+    }
+
+    if (fields.title !== undefined) {
+        if (typeof fields.title !== 'string' || fields.title.trim().length === 0 || fields.title.length > 45) {
+            return 'title must be a non-empty string of 45 characters or less';
+        }
+    }
+
+    if (fields.spot_id !== undefined) {
+        if (!Number.isInteger(fields.spot_id) || fields.spot_id <= 0) {
+            return 'spot_id must be a positive integer';
+        }
+    }
+
+    if (fields.list_id !== undefined) {
+        if (!Number.isInteger(fields.list_id) || fields.list_id <= 0) {
+            return 'list_id must be a positive integer';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the user's active (not soft deleted) review of a spot
+ * Locks the matching range until the transaction ends, so two concurrent
+ * requests can't both see "no review" and both insert one.
+ * Returns { post_id, rating, description, created_date } or null
+ */
+async function findActiveReview(transaction, userId, spotId, excludePostId = null) {
+    const result = await new sql.Request(transaction)
+        .input('user_id', sql.Int, userId)
+        .input('spot_id', sql.Int, spotId)
+        .input('exclude_post_id', sql.Int, excludePostId)
+        .query(`
+            SELECT TOP 1 p.post_id, rp.rating, p.description, p.created_date
+            FROM Review_Post rp WITH (UPDLOCK, HOLDLOCK)
+            INNER JOIN Post p WITH (UPDLOCK, HOLDLOCK) ON rp.post_id = p.post_id
+            WHERE rp.spot_id = @spot_id
+            AND p.user_id = @user_id
+            AND p.deleted_at IS NULL
+            AND (@exclude_post_id IS NULL OR p.post_id <> @exclude_post_id)
+            ORDER BY p.created_at DESC
+        `);
+
+    return result.recordset[0] || null;
+}
+
+module.exports = {
+    POST_TYPES,
+    POST_TYPE_FIELDS,
+    validatePostFields,
+    findActiveReview
+};
\ No newline at end of file
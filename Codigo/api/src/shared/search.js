@@ -0,0 +1,121 @@
+const sql = require('mssql');
+
+// Case and accent insensitive comparisons, so "sao paulo" matches "São Paulo"
+const SEARCH_COLLATION = 'Latin1_General_CI_AI';
+
+// Extra words are ignored, each one adds a few LIKEs per row
+const MAX_SEARCH_TOKENS = 5;
+
+// Points a word earns for matching each spot field (a match in the name beats one in the description)
+const SEARCH_FIELD_WEIGHTS = {
+    spot_name: 6,
+    city: 4,
+    category: 3,
+    description: 1
+};
+
+// Extra points when the name starts with the word (or one of its words does),
+// and when the name contains the whole query as typed
+const SEARCH_NAME_PREFIX_BONUS = 6;
+const SEARCH_NAME_WORD_BONUS = 4;
+const SEARCH_PHRASE_BONUS = 8;
+
+/**
+ * Removes diacritics and lowercases: "São Paulo" -> "sao paulo"
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Splits a query into distinct normalized words
+ * Only letters and digits are kept, so the words are safe inside a LIKE pattern
+ */
+function tokenizeSearch(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+
+    const tokens = normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter((token) => token.length > 0);
+    return [...new Set(tokens)].slice(0, MAX_SEARCH_TOKENS);
+}
+
+/**
+ * Normalizes a typed prefix: "  São   Jo" -> "sao jo", "Sant'A" -> "sant'a"
+ * Unlike tokenizeSearch punctuation is kept: the columns aren't normalized, so "sant a"
+ * would no longer match "Sant'Ana". Escape it with escapeLikePattern before using it in a LIKE.
+ */
+function normalizeSearchPrefix(text) {
+    if (typeof text !== 'string') {
+        return '';
+    }
+
+    return normalizeSearchText(text).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Escapes the LIKE wildcards (% _ [) so the text only matches itself
+ */
+function escapeLikePattern(text) {
+    return text.replace(/[[%_]/g, (char) => `[${char}]`);
+}
+
+/**
+ * Builds the WHERE condition and relevance score of a spot search
+ * Every word must match at least one field (name, city, category or description).
+ * Returns { tokens, condition, relevanceSql, queryParams } or null when the query has no words
+ */
+function buildSpotSearch(text, spotAlias = 's') {
+    const tokens = tokenizeSearch(text);
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const queryParams = {};
+    const tokenConditions = [];
+    const scoreTerms = [];
+    const column = (field) => `${spotAlias}.${field} COLLATE ${SEARCH_COLLATION}`;
+
+    tokens.forEach((token, index) => {
+        const contains = `search_${index}`;
+        const prefix = `search_${index}_prefix`;
+        const word = `search_${index}_word`;
+        queryParams[contains] = { type: sql.NVarChar(100), value: `%${token}%` };
+        queryParams[prefix] = { type: sql.NVarChar(100), value: `${token}%` };
+        queryParams[word] = { type: sql.NVarChar(100), value: `% ${token}%` };
+
+        tokenConditions.push(`(${Object.keys(SEARCH_FIELD_WEIGHTS)
+            .map((field) => `${column(field)} LIKE @${contains}`)
+            .join(' OR ')})`);
+
+        Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+            scoreTerms.push(`CASE WHEN ${column(field)} LIKE @${contains} THEN ${weight} ELSE 0 END`);
+        });
+        scoreTerms.push(`CASE
+                WHEN ${column('spot_name')} LIKE @${prefix} THEN ${SEARCH_NAME_PREFIX_BONUS}
+                WHEN ${column('spot_name')} LIKE @${word} THEN ${SEARCH_NAME_WORD_BONUS}
+                ELSE 0 END`);
+    });
+
+    if (tokens.length > 1) {
+        queryParams.search_phrase = { type: sql.NVarChar(500), value: `%${tokens.join(' ')}%` };
+        scoreTerms.push(`CASE WHEN ${column('spot_name')} LIKE @search_phrase THEN ${SEARCH_PHRASE_BONUS} ELSE 0 END`);
+    }
+
+    return {
+        tokens,
+        condition: tokenConditions.join(' AND '),
+        relevanceSql: scoreTerms.join('\n            + '),
+        queryParams
+    };
+}
+
+module.exports = {
+    SEARCH_COLLATION,
+    MAX_SEARCH_TOKENS,
+    normalizeSearchText,
+    tokenizeSearch,
+    normalizeSearchPrefix,
+    escapeLikePattern,
+    buildSpotSearch
+};
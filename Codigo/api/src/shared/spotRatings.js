@@ -0,0 +1,124 @@
+const sql = require('mssql');
+
+const RATING_BUCKETS = [1, 2, 3, 4, 5];
+
+// Bayesian weighted rating: every spot starts with this many "virtual" reviews at the
+// site-wide average, so a single 5-star review can't outrank hundreds of 4.7s
+const RATING_PRIOR_WEIGHT = 10;
+
+/**
+ * SQL for the weighted rating of a Spot_Rating_Stats row (alias statsAlias)
+ * meanSql is the site-wide average rating, @prior_weight must be bound to RATING_PRIOR_WEIGHT
+ *   (rating_sum + prior_weight * mean) / (review_count + prior_weight)
+ * A spot without reviews gets the site-wide average.
+ */
+function weightedRatingSql(statsAlias, meanSql) {
+    return `(COALESCE(${statsAlias}.rating_sum, 0) + @prior_weight * ${meanSql}) * 1.0`
+        + ` / (COALESCE(${statsAlias}.review_count, 0) + @prior_weight)`;
+}
+
+// Site-wide average rating, joined as a one-row table
+const RATING_MEAN_SQL = '(SELECT COALESCE(SUM(rating_sum) * 1.0 / NULLIF(SUM(review_count), 0), 0) AS mean_rating FROM Spot_Rating_Stats)';
+
+/**
+ * Moves one review's rating in the spot aggregates (Spot_Rating_Stats)
+ * oldRating: rating that stops counting, null when a review becomes active
+ * newRating: rating that starts counting, null when a review stops being active
+ * Call it in the same transaction, after the review itself was written.
+ */
+async function applyReviewRatingChange(transaction, spotId, oldRating, newRating) {
+    oldRating = oldRating ?? null;
+    newRating = newRating ?? null;
+    if (oldRating === newRating) return;
+
+    const countDelta = (newRating !== null ? 1 : 0) - (oldRating !== null ? 1 : 0);
+    const sumDelta = (newRating ?? 0) - (oldRating ?? 0);
+
+    const request = new sql.Request(transaction)
+        .input('spot_id', sql.Int, spotId)
+        .input('count_delta', sql.Int, countDelta)
+        .input('sum_delta', sql.Int, sumDelta);
+    RATING_BUCKETS.forEach((bucket) => {
+        request.input(`delta_${bucket}`, sql.Int, (newRating === bucket ? 1 : 0) - (oldRating === bucket ? 1 : 0));
+    });
+
+    const result = await request.query(`
+        UPDATE Spot_Rating_Stats
+        SET review_count = review_count + @count_delta,
+            rating_sum = rating_sum + @sum_delta,
+            ${RATING_BUCKETS.map((bucket) => `rating_${bucket} = rating_${bucket} + @delta_${bucket}`).join(',\n                ')},
+            updated_at = GETDATE()
+        WHERE spot_id = @spot_id
+    `);
+
+    // No row yet: build it from Review_Post, which already has this change
+    if (result.rowsAffected[0] === 0) {
+        await rebuildSpotRatingStats(transaction, [spotId]);
+    }
+}
+
+/**
+ * Recomputes the aggregates from the active reviews in Review_Post
+ * spotIds: spots to rebuild, or null for every spot
+ * Only rows that were missing or wrong are written.
+ * Returns { inserted, updated }
+ */
+async function rebuildSpotRatingStats(poolOrTransaction, spotIds = null) {
+    const result = await new sql.Request(poolOrTransaction)
+        .input('spot_ids', sql.NVarChar(sql.MAX), spotIds ? JSON.stringify(spotIds) : null)
+        .query(`
+            MERGE Spot_Rating_Stats WITH (HOLDLOCK) AS target
+            USING (
+                SELECT
+                    s.spot_id,
+                    COUNT(r.rating) as review_count,
+                    COALESCE(SUM(r.rating), 0) as rating_sum,
+                    ${RATING_BUCKETS.map((bucket) =>
+                        `COUNT(CASE WHEN r.rating = ${bucket} THEN 1 END) as rating_${bucket}`
+                    ).join(',\n                    ')}
+                FROM Spot s
+                LEFT JOIN (
+                    SELECT rp.spot_id, rp.rating
+                    FROM Review_Post rp
+                    INNER JOIN Post p ON rp.post_id = p.post_id
+                    WHERE p.deleted_at IS NULL AND rp.rating IS NOT NULL
+                ) r ON s.spot_id = r.spot_id
+                WHERE @spot_ids IS NULL
+                OR s.spot_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@spot_ids))
+                GROUP BY s.spot_id
+            ) AS source
+            ON target.spot_id = source.spot_id
+            WHEN MATCHED AND (
+                target.review_count <> source.review_count
+                OR target.rating_sum <> source.rating_sum
+                ${RATING_BUCKETS.map((bucket) =>
+                    `OR target.rating_${bucket} <> source.rating_${bucket}`
+                ).join('\n                ')}
+            ) THEN
+                UPDATE SET
+                    review_count = source.review_count,
+                    rating_sum = source.rating_sum,
+                    ${RATING_BUCKETS.map((bucket) =>
+                        `rating_${bucket} = source.rating_${bucket}`
+                    ).join(',\n                    ')},
+                    updated_at = GETDATE()
+            WHEN NOT MATCHED THEN
+                INSERT (spot_id, review_count, rating_sum, ${RATING_BUCKETS.map((bucket) => `rating_${bucket}`).join(', ')})
+                VALUES (source.spot_id, source.review_count, source.rating_sum, ${RATING_BUCKETS.map((bucket) => `source.rating_${bucket}`).join(', ')})
+            OUTPUT $action as action;
+        `);
+
+    return {
+        inserted: result.recordset.filter((row) => row.action === 'INSERT').length,
+        updated: result.recordset.filter((row) => row.action === 'UPDATE').length
+    };
+}
+
+module.exports = {
+    RATING_BUCKETS,
+    RATING_PRIOR_WEIGHT,
+    RATING_MEAN_SQL,
+    weightedRatingSql,
+    applyReviewRatingChange,
+    rebuildSpotRatingStats
+};
@@ -0,0 +1,182 @@
+const sql = require('mssql');
+const { validateCoordinates } = require('./geo');
+
+// Column sizes of the Spot table
+const SPOT_FIELD_LIMITS = {
+    spot_name: 55,
+    country: 30,
+    city: 35,
+    category: 30,
+    description: 500
+};
+
+// SQL types of the editable Spot columns
+const SPOT_COLUMN_TYPES = {
+    spot_name: sql.NVarChar(55),
+    country: sql.NVarChar(30),
+    city: sql.NVarChar(35),
+    category: sql.NVarChar(30),
+    description: sql.NVarChar(500),
+    spot_image_id: sql.Int,
+    latitude: sql.Decimal(9, 6),
+    longitude: sql.Decimal(9, 6)
+};
+
+// Fields that can never be empty
+const REQUIRED_SPOT_FIELDS = ['spot_name', 'country', 'city', 'category'];
+
+// Fields stored in every revision, in column order
+const SPOT_REVISION_FIELDS = [
+    'spot_name', 'country', 'city', 'category', 'description',
+    'spot_image_id', 'latitude', 'longitude'
+];
+
+/**
+ * Validates spot fields from a request body (used by create and update)
+ * Only the fields present in the object are checked, so it works for partial updates.
+ * Returns an error message, or null when the fields are valid
+ */
+function validateSpotFields(fields) {
+    for (const field of REQUIRED_SPOT_FIELDS) {
+        if (fields[field] === undefined) {
+            continue;
+        }
+
+        if (typeof fields[field] !== 'string' || fields[field].trim().length === 0) {
+            return `${field} must be a non-empty string`;
+        }
+    }
+
+    for (const [field, maxLength] of Object.entries(SPOT_FIELD_LIMITS)) {
+        const value = fields[field];
+        if (value === undefined || value === null) {
+            continue;
+        }
+
+        if (typeof value !== 'string') {
+            return `${field} must be a string`;
+        }
+
+        if (value.length > maxLength) {
+            return `${field} must be ${maxLength} characters or less`;
+        }
+    }
+
+    if (fields.spot_image_id !== null && fields.spot_image_id !== undefined) {
+        if (!Number.isInteger(fields.spot_image_id) || fields.spot_image_id <= 0) {
+            return 'spot_image_id must be a positive integer';
+        }
+    }
+
+    return validateCoordinates(fields.latitude, fields.longitude);
+}
+
+/**
+ * Finds another spot with the same name in the same city and country
+ * Returns its spot_id, or null
+ */
+async function findDuplicateSpot(transaction, { spot_name, city, country }, excludeSpotId = null) {
+    const result = await new sql.Request(transaction)
+        .input('spot_name', sql.NVarChar(55), spot_name)
+        .input('city', sql.NVarChar(35), city)
+        .input('country', sql.NVarChar(30), country)
+        .input('exclude_spot_id', sql.Int, excludeSpotId)
+        .query(`
+            SELECT spot_id
+            FROM Spot
+            WHERE spot_name = @spot_name
+            AND city = @city
+            AND country = @country
+            AND (@exclude_spot_id IS NULL OR spot_id <> @exclude_spot_id)
+        `);
+
+    return result.recordset.length > 0 ? result.recordset[0].spot_id : null;
+}
+
+/**
+ * Lists the fields whose value differs between a spot (or revision) and a set of changes
+ * Only the fields present in changes are compared
+ */
+function getChangedSpotFields(current, changes) {
+    return SPOT_REVISION_FIELDS.filter((field) =>
+        changes[field] !== undefined && !isSameSpotValue(field, current[field], changes[field])
+    );
+}
+
+function isSameSpotValue(field, a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a ?? null) === (b ?? null);
+    }
+
+    // DECIMAL(9,6): compare what would be stored
+    if (field === 'latitude' || field === 'longitude') {
+        return Number(a).toFixed(6) === Number(b).toFixed(6);
+    }
+
+    return a === b;
+}
+
+/**
+ * Writes the given fields to a spot (fields not in changes are left alone)
+ */
+async function updateSpotFields(transaction, spotId, changes) {
+    const fields = SPOT_REVISION_FIELDS.filter((field) => changes[field] !== undefined);
+    if (fields.length === 0) {
+        return;
+    }
+
+    const request = new sql.Request(transaction).input('spot_id', sql.Int, spotId);
+    fields.forEach((field) => request.input(field, SPOT_COLUMN_TYPES[field], changes[field]));
+
+    await request.query(`
+        UPDATE Spot
+        SET ${fields.map((field) => `${field} = @${field}`).join(', ')}
+        WHERE spot_id = @spot_id
+    `);
+}
+
+/**
+ * Stores the current state of a spot as its next revision
+ * Must run in the transaction that changed the spot, after the change.
+ *
+ * changeType: 'create' | 'update' | 'revert'
+ * Returns the new revision_number
+ */
+async function recordSpotRevision(transaction, spotId, userId, changeType, revertedFromRevision = null) {
+    const result = await new sql.Request(transaction)
+        .input('spot_id', sql.Int, spotId)
+        .input('changed_by_user_id', sql.Int, userId)
+        .input('change_type', sql.NVarChar(10), changeType)
+        .input('reverted_from_revision', sql.Int, revertedFromRevision)
+        .query(`
+            INSERT INTO Spot_Revision (
+                spot_id, revision_number,
+                ${SPOT_REVISION_FIELDS.join(', ')},
+                changed_by_user_id, change_type, reverted_from_revision
+            )
+            OUTPUT INSERTED.revision_number
+            SELECT
+                s.spot_id,
+                COALESCE((
+                    SELECT MAX(r.revision_number)
+                    FROM Spot_Revision r WITH (UPDLOCK, HOLDLOCK)
+                    WHERE r.spot_id = s.spot_id
+                ), 0) + 1,
+                ${SPOT_REVISION_FIELDS.map((field) => `s.${field}`).join(', ')},
+                @changed_by_user_id, @change_type, @reverted_from_revision
+            FROM Spot s
+            WHERE s.spot_id = @spot_id
+        `);
+
+    return result.recordset[0].revision_number;
+}
+
+module.exports = {
+    SPOT_FIELD_LIMITS,
+    SPOT_REVISION_FIELDS,
+    validateSpotFields,
+    findDuplicateSpot,
+    getChangedSpotFields,
+    updateSpotFields,
+    recordSpotRevision
+};
\ No newline at end of file
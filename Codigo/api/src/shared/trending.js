@@ -0,0 +1,149 @@
+const sql = require('mssql');
+
+// Windows (in days) GET /api/spots/trending can be asked for, each one cached separately
+const TRENDING_WINDOWS_DAYS = [1, 7, 30];
+const TRENDING_DEFAULT_WINDOW_DAYS = 7;
+
+// Points per event, before the time decay
+// A review is worth up to REVIEW_POINTS (5 stars), scaled down by its rating
+const TRENDING_REVIEW_POINTS = 3;
+const TRENDING_LIST_ADD_POINTS = 2;
+
+// A cache older than this is reported as stale (the timer refreshes it every 15 minutes)
+const TRENDING_CACHE_MAX_AGE_MINUTES = 60;
+
+// How long a refresh waits for another refresh of the same window to finish
+const TRENDING_REFRESH_LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Recomputes the trending scores of one window into Spot_Trending_Score
+ *
+ * Every recent event (active review, List_has_Spot addition) adds its points times
+ * 0.5 ^ (age / half_life), half_life being half the window: an event from the start
+ * of the window is worth a quarter of one from right now.
+ * Spots with no events in the window get no row.
+ * Refreshes of the same window (timer, first request) run one after the other: an
+ * application lock held until commit keeps their DELETE/INSERT from interleaving.
+ *
+ * Returns { window_days, spots_scored, refreshed_at }
+ */
+async function refreshTrendingScores(pool, windowDays) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    try {
+        const lockResult = await new sql.Request(transaction)
+            .input('resource', sql.NVarChar(255), `Spot_Trending_Score:${windowDays}`)
+            .input('timeout_ms', sql.Int, TRENDING_REFRESH_LOCK_TIMEOUT_MS)
+            .query(`
+                DECLARE @lock_result INT;
+                EXEC @lock_result = sp_getapplock
+                    @Resource = @resource, @LockMode = 'Exclusive',
+                    @LockOwner = 'Transaction', @LockTimeout = @timeout_ms;
+                SELECT @lock_result AS lock_result;
+            `);
+
+        if (lockResult.recordset[0].lock_result < 0) {
+            throw new Error(`Timed out waiting for another refresh of the ${windowDays}-day trending window`);
+        }
+
+        // Replace the window's rows in one go, readers see the old or the new ranking
+        await new sql.Request(transaction)
+            .input('window_days', sql.Int, windowDays)
+            .query('DELETE FROM Spot_Trending_Score WHERE window_days = @window_days');
+
+        const insertResult = await new sql.Request(transaction)
+            .input('window_days', sql.Int, windowDays)
+            .input('half_life_hours', sql.Float, windowDays * 24 / 2)
+            .input('review_points', sql.Float, TRENDING_REVIEW_POINTS)
+            .input('list_add_points', sql.Float, TRENDING_LIST_ADD_POINTS)
+            .query(`
+                WITH events AS (
+                    SELECT rp.spot_id, p.created_at AS happened_at, rp.rating, 1 AS is_review
+                    FROM Review_Post rp
+                    INNER JOIN Post p ON rp.post_id = p.post_id
+                    WHERE p.deleted_at IS NULL
+                    AND p.created_at >= DATEADD(day, -@window_days, SYSDATETIME())
+
+                    UNION ALL
+
+                    -- List_has_Spot only stores the day of the addition
+                    SELECT ls.spot_id, CAST(ls.created_date AS DATETIME2), NULL, 0
+                    FROM List_has_Spot ls
+                    WHERE ls.created_date >= CAST(DATEADD(day, -@window_days, GETDATE()) AS DATE)
+                ),
+                decayed AS (
+                    SELECT
+                        spot_id, rating, is_review,
+                        EXP(-LOG(2.0) * DATEDIFF(minute, happened_at, SYSDATETIME()) / 60.0 / @half_life_hours) AS decay
+                    FROM events
+                )
+                INSERT INTO Spot_Trending_Score (window_days, spot_id, score, review_count, list_add_count, average_rating)
+                SELECT
+                    @window_days,
+                    d.spot_id,
+                    SUM(d.decay * CASE
+                        WHEN d.is_review = 1 THEN @review_points * COALESCE(d.rating, 3) / 5.0
+                        ELSE @list_add_points
+                    END),
+                    SUM(d.is_review),
+                    SUM(1 - d.is_review),
+                    CAST(AVG(CAST(d.rating AS FLOAT)) AS DECIMAL(3,2))
+                FROM decayed d
+                INNER JOIN Spot s ON d.spot_id = s.spot_id
+                GROUP BY d.spot_id
+            `);
+
+        const refreshResult = await new sql.Request(transaction)
+            .input('window_days', sql.Int, windowDays)
+            .input('spots_scored', sql.Int, insertResult.rowsAffected[0])
+            .query(`
+                MERGE Spot_Trending_Refresh WITH (HOLDLOCK) AS target
+                USING (SELECT @window_days AS window_days) AS source
+                ON target.window_days = source.window_days
+                WHEN MATCHED THEN
+                    UPDATE SET refreshed_at = SYSDATETIME(), spots_scored = @spots_scored
+                WHEN NOT MATCHED THEN
+                    INSERT (window_days, refreshed_at, spots_scored)
+                    VALUES (@window_days, SYSDATETIME(), @spots_scored)
+                OUTPUT INSERTED.refreshed_at;
+            `);
+
+        await transaction.commit();
+
+        return {
+            window_days: windowDays,
+            spots_scored: insertResult.rowsAffected[0],
+            refreshed_at: refreshResult.recordset[0].refreshed_at
+        };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * When the window's cache was last refreshed, or null if it never was
+ */
+async function getTrendingRefreshedAt(pool, windowDays) {
+    const result = await new sql.Request(pool)
+        .input('window_days', sql.Int, windowDays)
+        .query('SELECT refreshed_at FROM Spot_Trending_Refresh WHERE window_days = @window_days');
+
+    return result.recordset[0]?.refreshed_at || null;
+}
+
+/**
+ * True when the cache is missing or older than TRENDING_CACHE_MAX_AGE_MINUTES
+ */
+function isTrendingCacheStale(refreshedAt) {
+    return !refreshedAt || Date.now() - refreshedAt.getTime() > TRENDING_CACHE_MAX_AGE_MINUTES * 60 * 1000;
+}
+
+module.exports = {
+    TRENDING_WINDOWS_DAYS,
+    TRENDING_DEFAULT_WINDOW_DAYS,
+    refreshTrendingScores,
+    getTrendingRefreshedAt,
+    isTrendingCacheStale
+};
@@ -0,0 +1,17 @@
+-- Migração: dono das listas
+-- Adiciona List.owner_user_id. As listas existentes ficam sem dono (NULL):
+-- compartilhar uma lista num post não é ser dono dela, e não há registro de quem a criou.
+-- Listas sem dono não podem ser alteradas pela API.
+
+ALTER TABLE List ADD owner_user_id INT NULL;
+GO
+
+ALTER TABLE List ADD CONSTRAINT FK_List_Owner
+    FOREIGN KEY (owner_user_id) REFERENCES Users(user_id);
+GO
+
+-- Donos conhecidos de listas antigas só entram por um mapeamento explícito e revisado, ex.:
+-- UPDATE List SET owner_user_id = <user_id> WHERE list_id IN (<list_ids>) AND owner_user_id IS NULL;
+
+CREATE INDEX IX_List_Owner ON List (owner_user_id);
+GO
@@ -0,0 +1,24 @@
+-- Migração: papéis de usuário e registro de exclusões de posts
+-- Todos os usuários existentes recebem o papel 'user'.
+-- Moderadores são promovidos manualmente:
+--   UPDATE Users SET role = 'moderator' WHERE user_id = ...;
+
+ALTER TABLE Users ADD role NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_Users_Role DEFAULT 'user'
+    CONSTRAINT CK_Users_Role CHECK (role IN ('user', 'moderator', 'admin'));
+GO
+
+CREATE TABLE Post_Deletion_Log (
+    log_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
+    post_id INT NOT NULL,
+    post_type NVARCHAR(11) NOT NULL,
+    post_user_id INT NOT NULL,
+    deleted_by_user_id INT NOT NULL,
+    soft_delete BIT NOT NULL DEFAULT 0,
+    images_count INT NOT NULL DEFAULT 0,
+    deleted_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+GO
+
+CREATE INDEX IX_Post_Deletion_Log_Post ON Post_Deletion_Log (post_id);
+GO
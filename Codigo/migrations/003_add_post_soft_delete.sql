@@ -0,0 +1,18 @@
+-- Migração: exclusão lógica de posts
+-- Posts "excluídos" pelo caminho antigo (softDelete=true) só recebiam ' [DELETED]'
+-- no fim da descrição. Eles são convertidos em exclusões lógicas reais.
+
+ALTER TABLE Post ADD
+    deleted_at DATETIME2 NULL,
+    deleted_by_user_id INT NULL;
+GO
+
+UPDATE Post
+SET deleted_at = GETDATE(),
+    deleted_by_user_id = user_id,
+    description = LEFT(description, LEN(description) - LEN(' [DELETED]'))
+WHERE description LIKE '% [[]DELETED]'; -- [[] escapa o colchete no LIKE
+GO
+
+CREATE INDEX IX_Post_Deleted_At ON Post (deleted_at) WHERE deleted_at IS NOT NULL;
+GO
@@ -0,0 +1,14 @@
+-- Migração: metadados de upload de imagens
+-- Usados por POST /api/images/register (thumbnail gerada pelo app e quem enviou a imagem).
+
+ALTER TABLE Images ADD
+    thumbnail_url NVARCHAR(500) NULL,
+    uploaded_by_user_id INT NULL;
+GO
+
+ALTER TABLE Images ADD CONSTRAINT FK_Images_Uploaded_By
+    FOREIGN KEY (uploaded_by_user_id) REFERENCES Users(user_id);
+GO
+
+CREATE INDEX IX_Images_Blob_Url ON Images (blob_url);
+GO
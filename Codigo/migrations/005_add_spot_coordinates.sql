@@ -0,0 +1,16 @@
+-- Migração: coordenadas geográficas dos spots
+-- Usadas pelo mapa do app e por GET /api/spots/nearby. Spots antigos ficam sem coordenadas (NULL).
+
+ALTER TABLE Spot ADD
+    latitude DECIMAL(9,6) NULL,
+    longitude DECIMAL(9,6) NULL;
+GO
+
+ALTER TABLE Spot ADD CONSTRAINT CK_Spot_Coordinates CHECK (
+    (latitude IS NULL AND longitude IS NULL)
+    OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+);
+GO
+
+CREATE INDEX IX_Spot_Coordinates ON Spot (latitude, longitude) WHERE latitude IS NOT NULL;
+GO
@@ -0,0 +1,36 @@
+-- Migração: histórico de versões dos spots
+-- Usado por PUT /api/spots/{id}, GET /api/spots/{id}/revisions e pela reversão de versões.
+
+CREATE TABLE Spot_Revision (
+    revision_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
+    spot_id INT NOT NULL,
+    revision_number INT NOT NULL, -- 1, 2, 3... por spot
+    spot_name NVARCHAR(55) NOT NULL,
+    country NVARCHAR(30) NOT NULL,
+    city NVARCHAR(35) NOT NULL,
+    category NVARCHAR(30) NOT NULL,
+    description NVARCHAR(500),
+    spot_image_id INT,
+    latitude DECIMAL(9,6) NULL,
+    longitude DECIMAL(9,6) NULL,
+    changed_by_user_id INT NULL, -- NULL nas revisões criadas pela migração
+    change_type NVARCHAR(10) NOT NULL,
+    reverted_from_revision INT NULL, -- revision_number restaurado (change_type = 'revert')
+    created_date DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT UQ_Spot_Revision_Number UNIQUE (spot_id, revision_number),
+    CONSTRAINT CK_Spot_Revision_Change_Type CHECK (change_type IN ('create', 'update', 'revert')),
+    FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by_user_id) REFERENCES Users(user_id)
+);
+GO
+
+-- Spots existentes ganham a revisão 1 com o estado atual, para poderem ser revertidos a ele
+INSERT INTO Spot_Revision (
+    spot_id, revision_number, spot_name, country, city, category, description,
+    spot_image_id, latitude, longitude, changed_by_user_id, change_type, created_date
+)
+SELECT
+    spot_id, 1, spot_name, country, city, category, description,
+    spot_image_id, latitude, longitude, NULL, 'create', COALESCE(created_date, GETDATE())
+FROM Spot;
+GO
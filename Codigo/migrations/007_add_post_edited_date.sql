@@ -0,0 +1,5 @@
+-- Migração: marcador de edição dos posts
+-- Preenchido por PUT /api/posts/{id}. Posts existentes ficam como nunca editados (NULL).
+
+ALTER TABLE Post ADD edited_date DATETIME2 NULL;
+GO
@@ -0,0 +1,17 @@
+-- Migração: data e hora de criação dos posts
+-- created_date é DATE, então posts do mesmo dia não têm ordem definida.
+-- created_at + post_id é a chave da paginação por cursor de GET /api/posts.
+
+ALTER TABLE Post ADD created_at DATETIME2(3) NULL
+    CONSTRAINT DF_Post_Created_At DEFAULT SYSDATETIME();
+GO
+
+-- Posts existentes: só o dia é conhecido (meia-noite); post_id desempata
+UPDATE Post SET created_at = CAST(created_date AS DATETIME2(3)) WHERE created_at IS NULL;
+GO
+
+ALTER TABLE Post ALTER COLUMN created_at DATETIME2(3) NOT NULL;
+GO
+
+CREATE INDEX IX_Post_Feed ON Post (created_at DESC, post_id DESC) WHERE deleted_at IS NULL;
+GO
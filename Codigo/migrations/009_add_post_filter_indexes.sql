@@ -0,0 +1,11 @@
+-- Migração: índices dos filtros de GET /api/posts
+-- ?spot_id= e ?minRating= (Review_Post) e ?list_id= (Community_Post, List_Post)
+
+CREATE INDEX IX_Review_Post_Spot ON Review_Post (spot_id, rating);
+GO
+
+CREATE INDEX IX_Community_Post_List ON Community_Post (list_id);
+GO
+
+CREATE INDEX IX_List_Post_List ON List_Post (list_id);
+GO
@@ -0,0 +1,24 @@
+-- Migração: uma review ativa por usuário e spot
+-- Reviews repetidas de antes da regra: a mais recente continua ativa, as outras vão para a
+-- lixeira (exclusão lógica, registrada em Post_Deletion_Log como excluída pelo próprio autor).
+-- Depende de 008_add_post_created_at.sql.
+
+WITH ranked AS (
+    SELECT
+        p.post_id,
+        ROW_NUMBER() OVER (
+            PARTITION BY p.user_id, rp.spot_id
+            ORDER BY p.created_at DESC, p.post_id DESC
+        ) AS position
+    FROM Post p
+    INNER JOIN Review_Post rp ON p.post_id = rp.post_id
+    WHERE p.deleted_at IS NULL
+)
+UPDATE p
+SET deleted_at = GETDATE(), deleted_by_user_id = p.user_id
+OUTPUT INSERTED.post_id, 'review', INSERTED.user_id, INSERTED.user_id, 1, 0, INSERTED.deleted_at
+INTO Post_Deletion_Log (post_id, post_type, post_user_id, deleted_by_user_id, soft_delete, images_count, deleted_at)
+FROM Post p
+INNER JOIN ranked r ON p.post_id = r.post_id
+WHERE r.position > 1;
+GO
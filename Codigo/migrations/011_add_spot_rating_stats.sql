@@ -0,0 +1,49 @@
+-- Migração: agregados de avaliação por spot (Spot_Rating_Stats)
+-- Guarda contagem, soma e distribuição das notas das reviews ativas, para que listar e
+-- ordenar spots por nota não precise agregar Review_Post a cada requisição.
+-- Depende de 010_single_active_review_per_spot.sql (só reviews ativas contam).
+-- Para recalcular depois: `npm run rebuild:spot-ratings` (em Codigo/api).
+
+CREATE TABLE Spot_Rating_Stats (
+    spot_id INT PRIMARY KEY NOT NULL,
+    review_count INT NOT NULL DEFAULT 0,
+    rating_sum INT NOT NULL DEFAULT 0,
+    rating_1 INT NOT NULL DEFAULT 0,
+    rating_2 INT NOT NULL DEFAULT 0,
+    rating_3 INT NOT NULL DEFAULT 0,
+    rating_4 INT NOT NULL DEFAULT 0,
+    rating_5 INT NOT NULL DEFAULT 0,
+    average_rating AS CAST(rating_sum * 1.0 / NULLIF(review_count, 0) AS DECIMAL(3,2)) PERSISTED,
+    updated_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT CK_Spot_Rating_Stats_Counts CHECK (
+        review_count >= 0
+        AND review_count = rating_1 + rating_2 + rating_3 + rating_4 + rating_5
+        AND rating_sum = rating_1 + 2 * rating_2 + 3 * rating_3 + 4 * rating_4 + 5 * rating_5
+    ),
+    CONSTRAINT FK_Spot_Rating_Stats_Spot FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE
+);
+GO
+
+CREATE INDEX IX_Spot_Rating_Stats_Average ON Spot_Rating_Stats (average_rating DESC, review_count DESC);
+GO
+
+-- Uma linha por spot, inclusive os que ainda não têm reviews
+INSERT INTO Spot_Rating_Stats (spot_id, review_count, rating_sum, rating_1, rating_2, rating_3, rating_4, rating_5)
+SELECT
+    s.spot_id,
+    COUNT(r.rating),
+    COALESCE(SUM(r.rating), 0),
+    COUNT(CASE WHEN r.rating = 1 THEN 1 END),
+    COUNT(CASE WHEN r.rating = 2 THEN 1 END),
+    COUNT(CASE WHEN r.rating = 3 THEN 1 END),
+    COUNT(CASE WHEN r.rating = 4 THEN 1 END),
+    COUNT(CASE WHEN r.rating = 5 THEN 1 END)
+FROM Spot s
+LEFT JOIN (
+    SELECT rp.spot_id, rp.rating
+    FROM Review_Post rp
+    INNER JOIN Post p ON rp.post_id = p.post_id
+    WHERE p.deleted_at IS NULL AND rp.rating IS NOT NULL
+) r ON s.spot_id = r.spot_id
+GROUP BY s.spot_id;
+GO
@@ -0,0 +1,25 @@
+-- Migração: cache dos spots em alta (GET /api/spots/trending)
+-- As tabelas começam vazias: a função refreshTrendingSpots (a cada 15 minutos) as preenche,
+-- e a primeira requisição de cada janela calcula a pontuação se o cache ainda não existir.
+
+CREATE TABLE Spot_Trending_Score (
+    window_days INT NOT NULL,
+    spot_id INT NOT NULL,
+    score FLOAT NOT NULL,
+    review_count INT NOT NULL,
+    list_add_count INT NOT NULL,
+    average_rating DECIMAL(3,2) NULL,
+    CONSTRAINT PK_Spot_Trending_Score PRIMARY KEY (window_days, spot_id),
+    CONSTRAINT FK_Spot_Trending_Score_Spot FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE
+);
+GO
+
+CREATE INDEX IX_Spot_Trending_Score_Rank ON Spot_Trending_Score (window_days, score DESC);
+GO
+
+CREATE TABLE Spot_Trending_Refresh (
+    window_days INT PRIMARY KEY NOT NULL,
+    refreshed_at DATETIME2 NOT NULL,
+    spots_scored INT NOT NULL
+);
+GO
@@ -0,0 +1,107 @@
+-- Migração: taxonomia de categorias de spots (Spot_Category)
+-- Spot.category era texto livre ("Praia", "praia", "Beach"...). Agora só aceita categorias
+-- cadastradas: o valor gravado continua sendo o nome em pt-BR (o app usa esses nomes),
+-- com rótulo em inglês e categoria pai opcional.
+-- Os valores existentes são mapeados para a taxonomia (maiúsculas e acentos são ignorados,
+-- e sinônimos comuns são traduzidos); o que não for reconhecido vai para "Outro".
+
+CREATE TABLE Spot_Category (
+    category_name NVARCHAR(30) PRIMARY KEY NOT NULL,
+    label_en NVARCHAR(30) NOT NULL,
+    parent_category NVARCHAR(30) NULL,
+    CONSTRAINT UQ_Spot_Category_Label_En UNIQUE (label_en),
+    CONSTRAINT FK_Spot_Category_Parent FOREIGN KEY (parent_category) REFERENCES Spot_Category(category_name)
+);
+GO
+
+-- Categorias pai primeiro (a FK de parent_category exige)
+INSERT INTO Spot_Category (category_name, label_en, parent_category) VALUES
+    (N'Natureza', N'Nature', NULL),
+    (N'Cultura', N'Culture', NULL),
+    (N'Hospedagem', N'Lodging', NULL),
+    (N'Outro', N'Other', NULL);
+
+INSERT INTO Spot_Category (category_name, label_en, parent_category) VALUES
+    (N'Praia', N'Beach', N'Natureza'),
+    (N'Cachoeira', N'Waterfall', N'Natureza'),
+    (N'Montanha', N'Mountain', N'Natureza'),
+    (N'Parque Nacional', N'National Park', N'Natureza'),
+    (N'Mirante', N'Viewpoint', N'Natureza'),
+    (N'Trilha', N'Trail', N'Natureza'),
+    (N'Lagoa', N'Lagoon', N'Natureza'),
+    (N'Rio', N'River', N'Natureza'),
+    (N'Gruta', N'Cave', N'Natureza'),
+    (N'Centro Histórico', N'Historic Center', N'Cultura'),
+    (N'Museu', N'Museum', N'Cultura'),
+    (N'Igreja', N'Church', N'Cultura'),
+    (N'Santuário', N'Sanctuary', N'Cultura'),
+    (N'Monumento', N'Monument', N'Cultura'),
+    (N'Memorial', N'Memorial', N'Cultura'),
+    (N'Praça', N'Square', N'Cultura'),
+    (N'Estádio', N'Stadium', N'Cultura'),
+    (N'Hotel', N'Hotel', N'Hospedagem'),
+    (N'Pousada', N'Inn', N'Hospedagem'),
+    (N'Camping', N'Campsite', N'Hospedagem'),
+    (N'Chalé', N'Chalet', N'Hospedagem');
+GO
+
+-- Sinônimos e plurais que não batem com nenhum nome ou rótulo da taxonomia
+CREATE TABLE #category_synonym (
+    old_value NVARCHAR(30) COLLATE Latin1_General_CI_AI PRIMARY KEY,
+    category_name NVARCHAR(30) COLLATE DATABASE_DEFAULT NOT NULL
+);
+
+INSERT INTO #category_synonym (old_value, category_name) VALUES
+    (N'Praias', N'Praia'), (N'Beaches', N'Praia'),
+    (N'Cachoeiras', N'Cachoeira'), (N'Cascata', N'Cachoeira'), (N'Waterfalls', N'Cachoeira'),
+    (N'Montanhas', N'Montanha'), (N'Serra', N'Montanha'), (N'Pico', N'Montanha'), (N'Mountains', N'Montanha'),
+    (N'Parque', N'Parque Nacional'), (N'Parque Estadual', N'Parque Nacional'), (N'Park', N'Parque Nacional'),
+    (N'Trilhas', N'Trilha'), (N'Hiking', N'Trilha'),
+    (N'Lago', N'Lagoa'), (N'Lake', N'Lagoa'),
+    (N'Caverna', N'Gruta'), (N'Cavern', N'Gruta'),
+    (N'Centro', N'Centro Histórico'), (N'Historic Centre', N'Centro Histórico'),
+    (N'Museus', N'Museu'),
+    (N'Igrejas', N'Igreja'), (N'Catedral', N'Igreja'), (N'Basílica', N'Igreja'), (N'Cathedral', N'Igreja'),
+    (N'Monumentos', N'Monumento'),
+    (N'Hostel', N'Pousada'), (N'Albergue', N'Pousada'),
+    (N'Acampamento', N'Camping');
+
+-- Nome ou rótulo da taxonomia (sem contar maiúsculas e acentos), senão sinônimo, senão "Outro"
+-- Valores não reconhecidos (revise depois com PUT /api/spots/{id}):
+SELECT s.category AS unmapped_category, COUNT(*) AS spots
+FROM Spot s
+WHERE NOT EXISTS (
+    SELECT 1 FROM Spot_Category c
+    WHERE LTRIM(RTRIM(s.category)) = c.category_name COLLATE Latin1_General_CI_AI
+    OR LTRIM(RTRIM(s.category)) = c.label_en COLLATE Latin1_General_CI_AI
+)
+AND NOT EXISTS (SELECT 1 FROM #category_synonym y WHERE y.old_value = LTRIM(RTRIM(s.category)) COLLATE Latin1_General_CI_AI)
+GROUP BY s.category;
+
+UPDATE s
+SET category = COALESCE(c.category_name, y.category_name, N'Outro')
+FROM Spot s
+OUTER APPLY (
+    SELECT TOP 1 category_name FROM Spot_Category
+    WHERE LTRIM(RTRIM(s.category)) = category_name COLLATE Latin1_General_CI_AI
+    OR LTRIM(RTRIM(s.category)) = label_en COLLATE Latin1_General_CI_AI
+) c
+LEFT JOIN #category_synonym y ON y.old_value = LTRIM(RTRIM(s.category)) COLLATE Latin1_General_CI_AI;
+
+-- As revisões também, para que reverter um spot não traga de volta um valor inválido
+UPDATE r
+SET category = COALESCE(c.category_name, y.category_name, N'Outro')
+FROM Spot_Revision r
+OUTER APPLY (
+    SELECT TOP 1 category_name FROM Spot_Category
+    WHERE LTRIM(RTRIM(r.category)) = category_name COLLATE Latin1_General_CI_AI
+    OR LTRIM(RTRIM(r.category)) = label_en COLLATE Latin1_General_CI_AI
+) c
+LEFT JOIN #category_synonym y ON y.old_value = LTRIM(RTRIM(r.category)) COLLATE Latin1_General_CI_AI;
+
+DROP TABLE #category_synonym;
+GO
+
+ALTER TABLE Spot ADD CONSTRAINT FK_Spot_Category
+    FOREIGN KEY (category) REFERENCES Spot_Category(category_name) ON UPDATE CASCADE;
+GO
@@ -0,0 +1,13 @@
+-- Migração: índices de GET /api/autocomplete
+-- A comparação sem acento (COLLATE Latin1_General_CI_AI) não consegue fazer seek: cada busca
+-- varre (scan) estes índices estreitos em vez da tabela. Os filtros ?city= e ?country= de
+-- GET /api/spots (igualdade, sem COLLATE) passam a usar seek
+
+CREATE INDEX IX_Spot_Name ON Spot (spot_name);
+GO
+
+CREATE INDEX IX_Spot_City ON Spot (city, country);
+GO
+
+CREATE INDEX IX_Spot_Country ON Spot (country);
+GO
@@ -0,0 +1,21 @@
+-- Migração: ordem dos spots dentro de uma lista (roteiros)
+-- List_has_Spot.position vai de 1 a n em cada lista, mantida por addSpotToList,
+-- removeSpotFromList e PUT /api/lists/{id}/spots/order.
+
+ALTER TABLE List_has_Spot ADD position INT NULL;
+GO
+
+-- Listas existentes: a ordem em que os spots foram adicionados (spot_id desempata)
+WITH ordered AS (
+    SELECT position,
+           ROW_NUMBER() OVER (PARTITION BY list_id ORDER BY created_date, spot_id) AS new_position
+    FROM List_has_Spot
+)
+UPDATE ordered SET position = new_position;
+GO
+
+ALTER TABLE List_has_Spot ALTER COLUMN position INT NOT NULL;
+GO
+
+CREATE INDEX IX_List_has_Spot_Position ON List_has_Spot (list_id, position);
+GO
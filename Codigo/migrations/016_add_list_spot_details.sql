@@ -0,0 +1,15 @@
+-- Migração: anotações pessoais do dono em cada spot de uma lista
+-- Nota, se já visitou (e quando) e o dia planejado para a visita,
+-- editados por PUT /api/lists/{id}/spots/{spotId}.
+
+ALTER TABLE List_has_Spot ADD
+    note NVARCHAR(500) NULL,
+    visited BIT NOT NULL CONSTRAINT DF_List_has_Spot_Visited DEFAULT 0,
+    visited_date DATE NULL,
+    planned_date DATE NULL;
+GO
+
+-- Só um spot visitado tem data de visita
+ALTER TABLE List_has_Spot ADD CONSTRAINT CK_List_has_Spot_Visited_Date
+    CHECK (visited = 1 OR visited_date IS NULL);
+GO
@@ -0,0 +1,24 @@
+-- Migração: chave primária (list_id, spot_id) em List_has_Spot
+-- Um spot aparece no máximo uma vez em cada lista. Até aqui só addSpotToList
+-- verificava isso, e adições simultâneas podiam duplicar a linha.
+
+-- Remove as duplicatas, mantendo a primeira na ordem da lista
+-- (as duplicatas têm as mesmas anotações: PUT /api/lists/{id}/spots/{spotId} atualiza todas)
+WITH duplicates AS (
+    SELECT ROW_NUMBER() OVER (PARTITION BY list_id, spot_id ORDER BY position, created_date) AS copy_number
+    FROM List_has_Spot
+)
+DELETE FROM duplicates WHERE copy_number > 1;
+GO
+
+-- As posições das duplicatas removidas deixaram buracos: renumera 1..n em cada lista
+WITH ordered AS (
+    SELECT position,
+           ROW_NUMBER() OVER (PARTITION BY list_id ORDER BY position, created_date, spot_id) AS new_position
+    FROM List_has_Spot
+)
+UPDATE ordered SET position = new_position WHERE position <> new_position;
+GO
+
+ALTER TABLE List_has_Spot ADD CONSTRAINT PK_List_has_Spot PRIMARY KEY (list_id, spot_id);
+GO
@@ -0,0 +1,74 @@
+-- Migração: um registro em Images por blob
+-- POST /api/images/register guarda a URL canônica do blob (sem query string) e
+-- a usa para achar uma imagem já registrada; o índice único garante isso no banco.
+
+-- URLs salvas com query string ou fragmento (como o token SAS de escrita da uploadUrl) perdem essa parte
+UPDATE Images
+SET blob_url = LEFT(blob_url, PATINDEX('%[?#]%', blob_url) - 1)
+WHERE PATINDEX('%[?#]%', blob_url) > 0;
+
+UPDATE Images
+SET thumbnail_url = LEFT(thumbnail_url, PATINDEX('%[?#]%', thumbnail_url) - 1)
+WHERE PATINDEX('%[?#]%', thumbnail_url) > 0;
+GO
+
+-- Imagens repetidas (mesmo blob): as referências passam para a mais antiga e as outras são removidas
+SELECT image_id, keep_image_id
+INTO #Duplicate_Images
+FROM (
+    SELECT image_id, MIN(image_id) OVER (PARTITION BY blob_url) AS keep_image_id
+    FROM Images
+    WHERE blob_url IS NOT NULL
+) images
+WHERE image_id <> keep_image_id;
+
+UPDATE u SET profile_image_id = d.keep_image_id
+FROM Users u INNER JOIN #Duplicate_Images d ON u.profile_image_id = d.image_id;
+
+UPDATE s SET spot_image_id = d.keep_image_id
+FROM Spot s INNER JOIN #Duplicate_Images d ON s.spot_image_id = d.image_id;
+
+UPDATE lhs SET list_thumbnail_id = d.keep_image_id
+FROM List_has_Spot lhs INNER JOIN #Duplicate_Images d ON lhs.list_thumbnail_id = d.image_id;
+
+-- Revisões antigas também, senão revertSpot recusa a imagem que não existe mais
+UPDATE r SET spot_image_id = d.keep_image_id
+FROM Spot_Revision r INNER JOIN #Duplicate_Images d ON r.spot_image_id = d.image_id;
+
+-- Galerias com o mesmo blob mais de uma vez ficam com uma cópia (a thumbnail, senão a primeira)
+WITH mapped AS (
+    SELECT pi.post_id, pi.image_id,
+           ROW_NUMBER() OVER (
+               PARTITION BY pi.post_id, COALESCE(d.keep_image_id, pi.image_id)
+               ORDER BY pi.is_thumbnail DESC, pi.image_order
+           ) AS copy_number
+    FROM Post_Images pi
+    LEFT JOIN #Duplicate_Images d ON pi.image_id = d.image_id
+)
+DELETE pi
+FROM Post_Images pi
+INNER JOIN mapped m ON pi.post_id = m.post_id AND pi.image_id = m.image_id
+WHERE m.copy_number > 1;
+
+UPDATE pi SET image_id = d.keep_image_id
+FROM Post_Images pi INNER JOIN #Duplicate_Images d ON pi.image_id = d.image_id;
+
+WITH ordered AS (
+    SELECT image_order,
+           ROW_NUMBER() OVER (PARTITION BY post_id ORDER BY image_order, created_date) AS new_order
+    FROM Post_Images
+)
+UPDATE ordered SET image_order = new_order WHERE image_order <> new_order;
+
+DELETE FROM Images WHERE image_id IN (SELECT image_id FROM #Duplicate_Images);
+
+DROP TABLE #Duplicate_Images;
+GO
+
+DROP INDEX IX_Images_Blob_Url ON Images;
+GO
+
+CREATE UNIQUE INDEX IX_Images_Blob_Url
+ON Images (blob_url)
+WHERE blob_url IS NOT NULL;
+GO
@@ -5,9 +5,16 @@ CREATE TABLE Images (
     blob_url NVARCHAR(500),
     content_type NVARCHAR(100),
     file_size BIGINT,
+    thumbnail_url NVARCHAR(500),
+    uploaded_by_user_id INT, -- FK adicionada depois da criação de Users
     created_date DATETIME2 DEFAULT GETDATE()
 );
 
+-- Um registro por blob: POST /api/images/register guarda a URL canônica (sem query string)
+CREATE UNIQUE INDEX IX_Images_Blob_Url
+ON Images (blob_url)
+WHERE blob_url IS NOT NULL;
+
 -- Tabela de Listas
 CREATE TABLE List (
     list_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
@@ -21,7 +28,10 @@ CREATE TABLE Users (
     display_name NVARCHAR(55) NOT NULL,
     username NVARCHAR(21) NOT NULL UNIQUE,
     user_email NVARCHAR(35) NOT NULL UNIQUE,
-    hash_password NVARCHAR(61) NOT NULL,
+    hash_password NVARCHAR(61), -- NULL para usuários autenticados pelo Firebase
+    firebase_uid NVARCHAR(128), -- 'sub' do ID token do Firebase, mantido pelo syncFirebaseUser
+    created_via NVARCHAR(20),
+    role NVARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
     creation_date DATE NOT NULL DEFAULT (CAST(GETDATE() AS DATE)),
     last_update_date DATE NOT NULL DEFAULT (CAST(GETDATE() AS DATE)),
     biography NVARCHAR(450),
@@ -29,6 +39,59 @@ CREATE TABLE Users (
     FOREIGN KEY (profile_image_id) REFERENCES Images(image_id)
 );
 
+-- Filtro que garante firebase_uid único sem bloquear usuários antigos (NULL)
+CREATE UNIQUE INDEX IX_Users_Firebase_Uid
+ON Users (firebase_uid)
+WHERE firebase_uid IS NOT NULL;
+
+ALTER TABLE Images ADD FOREIGN KEY (uploaded_by_user_id) REFERENCES Users(user_id);
+
+-- Dono da lista (criada antes de Users, por isso a FK é adicionada aqui)
+ALTER TABLE List ADD owner_user_id INT NULL
+    FOREIGN KEY REFERENCES Users(user_id);
+
+CREATE INDEX IX_List_Owner ON List (owner_user_id);
+
+-- Taxonomia de categorias de spots (GET /api/spots/categories)
+-- Spot.category guarda category_name, o nome em pt-BR usado pelo app
+CREATE TABLE Spot_Category (
+    category_name NVARCHAR(30) PRIMARY KEY NOT NULL,
+    label_en NVARCHAR(30) NOT NULL, -- rótulo em inglês (também aceito na criação de spots)
+    parent_category NVARCHAR(30) NULL, -- categoria pai opcional (ex.: Praia -> Natureza)
+    CONSTRAINT UQ_Spot_Category_Label_En UNIQUE (label_en),
+    CONSTRAINT FK_Spot_Category_Parent FOREIGN KEY (parent_category) REFERENCES Spot_Category(category_name)
+);
+
+-- Taxonomia inicial, categorias pai primeiro
+INSERT INTO Spot_Category (category_name, label_en, parent_category) VALUES
+    (N'Natureza', N'Nature', NULL),
+    (N'Cultura', N'Culture', NULL),
+    (N'Hospedagem', N'Lodging', NULL),
+    (N'Outro', N'Other', NULL);
+
+INSERT INTO Spot_Category (category_name, label_en, parent_category) VALUES
+    (N'Praia', N'Beach', N'Natureza'),
+    (N'Cachoeira', N'Waterfall', N'Natureza'),
+    (N'Montanha', N'Mountain', N'Natureza'),
+    (N'Parque Nacional', N'National Park', N'Natureza'),
+    (N'Mirante', N'Viewpoint', N'Natureza'),
+    (N'Trilha', N'Trail', N'Natureza'),
+    (N'Lagoa', N'Lagoon', N'Natureza'),
+    (N'Rio', N'River', N'Natureza'),
+    (N'Gruta', N'Cave', N'Natureza'),
+    (N'Centro Histórico', N'Historic Center', N'Cultura'),
+    (N'Museu', N'Museum', N'Cultura'),
+    (N'Igreja', N'Church', N'Cultura'),
+    (N'Santuário', N'Sanctuary', N'Cultura'),
+    (N'Monumento', N'Monument', N'Cultura'),
+    (N'Memorial', N'Memorial', N'Cultura'),
+    (N'Praça', N'Square', N'Cultura'),
+    (N'Estádio', N'Stadium', N'Cultura'),
+    (N'Hotel', N'Hotel', N'Hospedagem'),
+    (N'Pousada', N'Inn', N'Hospedagem'),
+    (N'Camping', N'Campsite', N'Hospedagem'),
+    (N'Chalé', N'Chalet', N'Hospedagem');
+
 -- Tabela de Spots (locais de interesse)
 CREATE TABLE Spot (
     spot_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
@@ -39,8 +102,47 @@ CREATE TABLE Spot (
     description NVARCHAR(500),
     created_date DATETIME2 DEFAULT GETDATE(),
     spot_image_id INT,
-    FOREIGN KEY (spot_image_id) REFERENCES Images(image_id)
-    --avg_rating passa a ser um calculo ao inves de um campo    
+    latitude DECIMAL(9,6) NULL, -- graus, WGS84 (GPS)
+    longitude DECIMAL(9,6) NULL,
+    FOREIGN KEY (spot_image_id) REFERENCES Images(image_id),
+    CONSTRAINT FK_Spot_Category FOREIGN KEY (category) REFERENCES Spot_Category(category_name) ON UPDATE CASCADE,
+    -- Coordenadas são opcionais, mas vêm sempre em par e dentro dos limites
+    CONSTRAINT CK_Spot_Coordinates CHECK (
+        (latitude IS NULL AND longitude IS NULL)
+        OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+    )
+    -- Nota média e contagem de reviews ficam em Spot_Rating_Stats
+);
+
+-- Busca por proximidade (GET /api/spots/nearby) filtra primeiro por uma caixa de latitude/longitude
+CREATE INDEX IX_Spot_Coordinates ON Spot (latitude, longitude) WHERE latitude IS NOT NULL;
+
+-- Autocomplete (GET /api/autocomplete) e filtros por cidade/país
+CREATE INDEX IX_Spot_Name ON Spot (spot_name);
+CREATE INDEX IX_Spot_City ON Spot (city, country);
+CREATE INDEX IX_Spot_Country ON Spot (country);
+
+-- Histórico de versões dos spots: cada criação, edição ou reversão guarda o estado completo do spot
+CREATE TABLE Spot_Revision (
+    revision_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
+    spot_id INT NOT NULL,
+    revision_number INT NOT NULL, -- 1, 2, 3... por spot
+    spot_name NVARCHAR(55) NOT NULL,
+    country NVARCHAR(30) NOT NULL,
+    city NVARCHAR(35) NOT NULL,
+    category NVARCHAR(30) NOT NULL,
+    description NVARCHAR(500),
+    spot_image_id INT,
+    latitude DECIMAL(9,6) NULL,
+    longitude DECIMAL(9,6) NULL,
+    changed_by_user_id INT NULL, -- NULL nas revisões criadas pela migração
+    change_type NVARCHAR(10) NOT NULL,
+    reverted_from_revision INT NULL, -- revision_number restaurado (change_type = 'revert')
+    created_date DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT UQ_Spot_Revision_Number UNIQUE (spot_id, revision_number),
+    CONSTRAINT CK_Spot_Revision_Change_Type CHECK (change_type IN ('create', 'update', 'revert')),
+    FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by_user_id) REFERENCES Users(user_id)
 );
 
 -- Tabela de Associação entre Listas e Spots
@@ -49,21 +151,41 @@ CREATE TABLE List_has_Spot (
     spot_id INT NOT NULL,
     created_date DATE,
     list_thumbnail_id INT,
+    position INT NOT NULL, -- ordem do spot na lista (1..n), escolhida pelo dono
+    note NVARCHAR(500) NULL, -- anotação pessoal do dono sobre o spot
+    visited BIT NOT NULL CONSTRAINT DF_List_has_Spot_Visited DEFAULT 0,
+    visited_date DATE NULL, -- quando visitou (só com visited = 1)
+    planned_date DATE NULL, -- dia planejado para a visita no roteiro
+    CONSTRAINT CK_List_has_Spot_Visited_Date CHECK (visited = 1 OR visited_date IS NULL),
+    CONSTRAINT PK_List_has_Spot PRIMARY KEY (list_id, spot_id), -- um spot no máximo uma vez por lista
     FOREIGN KEY (list_thumbnail_id) REFERENCES Images(image_id),
     FOREIGN KEY (list_id) REFERENCES List(list_id) ON DELETE CASCADE,
     FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE
 );
 
+-- Conteúdo de uma lista na ordem do roteiro (GET /api/lists/{id}/spots?orderBy=position)
+CREATE INDEX IX_List_has_Spot_Position ON List_has_Spot (list_id, position);
+
 -- Tabela de Posts
 CREATE TABLE Post (
     post_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
     description NVARCHAR(500),
     user_id INT NOT NULL,
     created_date DATE NOT NULL DEFAULT (CAST(GETDATE() AS DATE)),
+    created_at DATETIME2(3) NOT NULL CONSTRAINT DF_Post_Created_At DEFAULT SYSDATETIME(), -- ordem exata do feed (created_date é só o dia)
     type NVARCHAR(11) NOT NULL CHECK (type IN ('community', 'review', 'list')), --Disjunção total, vamos aplicar Herança com chave primária compartilhada
+    edited_date DATETIME2 NULL, -- Última edição pelo autor (NULL = nunca editado)
+    deleted_at DATETIME2 NULL, -- Exclusão lógica: preenchido enquanto o post está na lixeira
+    deleted_by_user_id INT NULL, -- Autor ou moderador que excluiu (sem FK, como em Post_Deletion_Log)
     FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
 );
 
+-- Usado pela limpeza periódica de posts excluídos logicamente
+CREATE INDEX IX_Post_Deleted_At ON Post (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Paginação por cursor do feed (GET /api/posts?cursor=): created_at + post_id, só posts ativos
+CREATE INDEX IX_Post_Feed ON Post (created_at DESC, post_id DESC) WHERE deleted_at IS NULL;
+
 CREATE TABLE Community_Post (
     post_id INT PRIMARY KEY NOT NULL,
     title NVARCHAR(45) NOT NULL,
@@ -72,6 +194,8 @@ CREATE TABLE Community_Post (
     FOREIGN KEY (list_id) REFERENCES List(list_id) ON DELETE CASCADE
 );
 
+-- Regra: no máximo uma review ativa (deleted_at IS NULL) por usuário e spot,
+-- garantida por createPosts e restorePost (o usuário fica em Post, o spot em Review_Post)
 CREATE TABLE Review_Post (
     post_id INT PRIMARY KEY NOT NULL,
     spot_id INT NOT NULL,
@@ -88,6 +212,58 @@ CREATE TABLE List_Post (
     FOREIGN KEY (list_id) REFERENCES List(list_id) ON DELETE CASCADE
 );
 
+-- Filtros de GET /api/posts: reviews de um spot (?spot_id=, ?minRating=) e posts de uma lista (?list_id=)
+CREATE INDEX IX_Review_Post_Spot ON Review_Post (spot_id, rating);
+CREATE INDEX IX_Community_Post_List ON Community_Post (list_id);
+CREATE INDEX IX_List_Post_List ON List_Post (list_id);
+
+-- Agregados de avaliação por spot, só com reviews ativas (deleted_at IS NULL).
+-- Mantidos na mesma transação que cria, edita, exclui ou restaura a review;
+-- `npm run rebuild:spot-ratings` recalcula tudo a partir de Review_Post.
+CREATE TABLE Spot_Rating_Stats (
+    spot_id INT PRIMARY KEY NOT NULL,
+    review_count INT NOT NULL DEFAULT 0,
+    rating_sum INT NOT NULL DEFAULT 0,
+    rating_1 INT NOT NULL DEFAULT 0, -- distribuição: quantidade de reviews com cada nota
+    rating_2 INT NOT NULL DEFAULT 0,
+    rating_3 INT NOT NULL DEFAULT 0,
+    rating_4 INT NOT NULL DEFAULT 0,
+    rating_5 INT NOT NULL DEFAULT 0,
+    average_rating AS CAST(rating_sum * 1.0 / NULLIF(review_count, 0) AS DECIMAL(3,2)) PERSISTED, -- NULL sem reviews
+    updated_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT CK_Spot_Rating_Stats_Counts CHECK (
+        review_count >= 0
+        AND review_count = rating_1 + rating_2 + rating_3 + rating_4 + rating_5
+        AND rating_sum = rating_1 + 2 * rating_2 + 3 * rating_3 + 4 * rating_4 + 5 * rating_5
+    ),
+    FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE
+);
+
+-- Ordenação de spots por nota sem agregar Review_Post
+CREATE INDEX IX_Spot_Rating_Stats_Average ON Spot_Rating_Stats (average_rating DESC, review_count DESC);
+
+-- Cache de GET /api/spots/trending, recalculado a cada 15 minutos pela função refreshTrendingSpots.
+-- Uma pontuação por janela (1, 7 ou 30 dias) e spot; spots sem atividade na janela não têm linha.
+CREATE TABLE Spot_Trending_Score (
+    window_days INT NOT NULL,
+    spot_id INT NOT NULL,
+    score FLOAT NOT NULL, -- reviews e adições a listas recentes, com decaimento exponencial pela idade
+    review_count INT NOT NULL, -- reviews ativas na janela
+    list_add_count INT NOT NULL, -- adições a listas (List_has_Spot) na janela
+    average_rating DECIMAL(3,2) NULL, -- média das reviews da janela
+    CONSTRAINT PK_Spot_Trending_Score PRIMARY KEY (window_days, spot_id),
+    FOREIGN KEY (spot_id) REFERENCES Spot(spot_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_Spot_Trending_Score_Rank ON Spot_Trending_Score (window_days, score DESC);
+
+-- Quando cada janela do cache foi recalculada pela última vez
+CREATE TABLE Spot_Trending_Refresh (
+    window_days INT PRIMARY KEY NOT NULL,
+    refreshed_at DATETIME2 NOT NULL,
+    spots_scored INT NOT NULL
+);
+
 -- Tabela de Associação entre Post e N Images
 CREATE TABLE Post_Images (
     post_id INT NOT NULL,
@@ -105,4 +281,18 @@ CREATE TABLE Post_Images (
 -- Filtro que garante apenas uma thumbnail por post
 CREATE UNIQUE INDEX IX_Post_Images_Unique_Thumbnail 
 ON Post_Images (post_id) 
-WHERE is_thumbnail = 1;
\ No newline at end of file
+WHERE is_thumbnail = 1;
+
+-- Registro de exclusões de posts (sem FK em post_id: o post pode não existir mais)
+CREATE TABLE Post_Deletion_Log (
+    log_id INT IDENTITY(1,1) PRIMARY KEY NOT NULL,
+    post_id INT NOT NULL,
+    post_type NVARCHAR(11) NOT NULL,
+    post_user_id INT NOT NULL, -- autor do post
+    deleted_by_user_id INT NOT NULL, -- quem excluiu (autor ou moderador)
+    soft_delete BIT NOT NULL DEFAULT 0,
+    images_count INT NOT NULL DEFAULT 0,
+    deleted_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX IX_Post_Deletion_Log_Post ON Post_Deletion_Log (post_id);
\ No newline at end of file